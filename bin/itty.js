@@ -4,9 +4,11 @@ import { parseArgs } from 'node:util'
 
 const subcommands = {
   build: () => import('../lib/commands/build.js').then(m => m.buildCommand),
+  check: () => import('../lib/commands/check.js').then(m => m.checkCommand),
   lint: () => import('../lib/commands/lint.js').then(m => m.lintCommand),
   prepare: () => import('../lib/commands/prepare.js').then(m => m.prepareCommand),
   release: () => import('../lib/commands/release.js').then(m => m.releaseCommand),
+  size: () => import('../lib/commands/size.js').then(m => m.sizeCommand),
   // Future subcommands can be added here:
   // deploy: () => import('../lib/commands/deploy.js').then(m => m.deployCommand),
 }
@@ -73,9 +75,11 @@ Usage: itty <subcommand> [options]
 
 Subcommands:
   build     Build your library with rollup and typescript
+  check     Verify a built package's exports, imports, and types
   lint      Lint your code with ESLint
   prepare   Run lint, test, and build in sequence
   release   Version and release your package to npm
+  size      Report raw, gzip, and brotli sizes of built exports
 
 Global Options:
   -h, --help      Show help
@@ -84,10 +88,12 @@ Global Options:
 Examples:
   itty build --snippet=connect --hybrid    # Build with snippet and CJS support
   itty build --sourcemap --no-minify      # Build with sourcemaps, no minification
+  itty check                              # Verify dist/ works for ESM, CJS, and TS consumers
   itty lint                               # Lint entire project (smart exclusions)
   itty lint src                           # Lint only the src directory
   itty lint --fix                         # Lint and fix issues automatically
   itty release --patch                    # Version bump and release from dist/
+  itty size --readme                      # Update the README size table
   itty build --help                       # Show build-specific help
 
 Run 'itty <subcommand> --help' for subcommand-specific options.
@@ -0,0 +1,197 @@
+import fs from 'fs-extra'
+import path from 'node:path'
+import ts from 'typescript'
+import { formatTable, packageExports } from './sizes.js'
+
+// Semver bumps, smallest first
+export const BUMPS = ['patch', 'minor', 'major']
+
+const printer = ts.createPrinter({ removeComments: true })
+
+// The declaration file an exports value points to - types next to import, then at the top level
+const typesFile = value => !value || typeof value !== 'object' ? undefined
+  : typeof value.types === 'string' ? value.types
+  : typesFile(value.import) ?? typesFile(value.default) ?? typesFile(value.types)
+
+// One declaration as source text, without export/declare, JSDoc or private members
+function printDeclaration(declaration) {
+  const text = printer.printNode(ts.EmitHint.Unspecified, declaration, declaration.getSourceFile())
+  const keyword = ts.isVariableDeclaration(declaration)
+    ? declaration.parent.flags & ts.NodeFlags.Const ? 'const ' : declaration.parent.flags & ts.NodeFlags.Let ? 'let ' : 'var '
+    : ''
+
+  return keyword + text
+    .replace(/^((export|declare|default)\s+)+/, '')
+    .replace(/\s+/g, ' ')
+    // Declarations keep private members as `private x;` - not API, and they make classes nominal
+    .replace(/ (private (static |readonly )*[\w$]+\??|#private);/g, '')
+    .replace(/;$/, '')
+    .trim()
+}
+
+/**
+ * Every exported symbol of every export subpath with a declaration file, from the package.json
+ * in `dir` (targets resolved against `root`): { [subpath]: { [name]: signature } }. A signature
+ * is the symbol's declaration text - one line per overload or merged declaration.
+ */
+export async function extractApi(dir, { root = '.' } = {}) {
+  const pkg = await fs.readJSON(path.join(dir, 'package.json'))
+  const map = pkg.exports ? packageExports(pkg) : { '.': { types: pkg.types ?? pkg.typings } }
+
+  const entries = Object.entries(map)
+    .filter(([subpath]) => !subpath.includes('*'))
+    .map(([subpath, value]) => [subpath, typesFile(value)])
+    .filter(([, file]) => file)
+    .map(([subpath, file]) => [subpath, path.resolve(dir, root, file)])
+
+  const program = ts.createProgram(entries.map(([, file]) => file), { noEmit: true, skipLibCheck: true, types: [] })
+  const checker = program.getTypeChecker()
+  const api = {}
+
+  for (const [subpath, file] of entries) {
+    const source = program.getSourceFile(file)
+    if (!source) {
+      throw new Error(`Declarations for "${subpath}" not found at ${path.relative(dir, file)}. Run "itty build" first.`)
+    }
+
+    const module = checker.getSymbolAtLocation(source)
+    const symbols = module ? checker.getExportsOfModule(module) : []
+
+    api[subpath] = Object.fromEntries(symbols
+      .map(symbol => {
+        const target = symbol.flags & ts.SymbolFlags.Alias ? checker.getAliasedSymbol(symbol) : symbol
+        const name = symbol.escapedName.toString()
+
+        // Bundled declarations often rename on export (declare const a; export { a as b }), so
+        // signatures use the exported name - renaming an internal isn't an API change
+        const signature = (target.declarations ?? []).map(printDeclaration).map(text => name === 'default'
+          ? text
+          : text.replace(new RegExp(`\\b${target.escapedName.toString().replace(/\$/g, '\\$')}\\b`), name))
+
+        return [name, signature.join('\n')]
+      })
+      .sort(([a], [b]) => a.localeCompare(b)))
+  }
+
+  return api
+}
+
+export async function readApi(file) {
+  return fs.readJSON(file)
+}
+
+export async function writeApi(file, api) {
+  await fs.writeJSON(file, api, { spaces: 2 })
+}
+
+// "class Router<T> {..." → "Router" - the name a signature declares
+const declaredName = signature => signature.match(/^(?:abstract\s+)?(?:const|let|var|function|class|interface|type|enum|namespace|module)\s+([\w$]+)/)?.[1]
+
+// A subpath's API as a declaration file, so old and new signatures can be compared by the type checker
+const toDeclarations = symbols => Object.entries(symbols).map(([name, signature]) => {
+  const lines = signature.split('\n')
+  return name === 'default'
+    ? [...lines.map(line => `declare ${line}`), `export default ${declaredName(lines[0])};`].join('\n')
+    : lines.map(line => `export declare ${line}`).join('\n')
+}).join('\n')
+
+/**
+ * How a changed signature affects consumers: 'major' if code written against `before` may no
+ * longer compile, 'minor' if `after` accepts or offers more, 'patch' if they're equivalent.
+ * Values (functions, consts, classes) must stay assignable to what they were, without dropping
+ * parameters callers may pass; types, which consumers may both produce and consume, must stay
+ * assignable both ways.
+ */
+function classifyChanges(before, after, names) {
+  const files = { '/before.d.ts': toDeclarations(before), '/after.d.ts': toDeclarations(after) }
+  const options = { noEmit: true, skipLibCheck: true, types: [], strict: true }
+  const host = ts.createCompilerHost(options)
+  const { getSourceFile, fileExists, readFile } = host
+
+  Object.assign(host, {
+    getSourceFile: (file, version) => files[file] !== undefined
+      ? ts.createSourceFile(file, files[file], version)
+      : getSourceFile(file, version),
+    fileExists: file => files[file] !== undefined || fileExists(file),
+    readFile: file => files[file] ?? readFile(file),
+  })
+
+  const program = ts.createProgram(Object.keys(files), options, host)
+  const checker = program.getTypeChecker()
+  const exportsOf = file => {
+    const module = checker.getSymbolAtLocation(program.getSourceFile(file))
+    return new Map((module ? checker.getExportsOfModule(module) : []).map(symbol => [symbol.escapedName.toString(), symbol]))
+  }
+  const [old, current] = [exportsOf('/before.d.ts'), exportsOf('/after.d.ts')]
+
+  const resolve = symbol => symbol.flags & ts.SymbolFlags.Alias ? checker.getAliasedSymbol(symbol) : symbol
+
+  // The most arguments a call (or `new`) accepts - assignability alone allows dropping optional parameters
+  const arity = type => Math.max(0, ...[ts.SignatureKind.Call, ts.SignatureKind.Construct]
+    .flatMap(kind => checker.getSignaturesOfType(type, kind))
+    .map(signature => signature.declaration?.parameters?.some(parameter => parameter.dotDotDotToken)
+      ? Infinity
+      : signature.getParameters().length))
+
+  // A type offers more when it gains members, e.g. a new optional property
+  const offersMore = (from, to) => checker.getPropertiesOfType(to).length > checker.getPropertiesOfType(from).length
+
+  return Object.fromEntries(names.map(name => {
+    const [from, to] = [old.get(name), current.get(name)].map(symbol => symbol && resolve(symbol))
+    if (!from || !to) return [name, 'major']
+
+    const isValue = symbol => symbol.flags & ts.SymbolFlags.Value
+    if (isValue(from) !== isValue(to)) return [name, 'major']
+
+    const typeOf = isValue(from) ? symbol => checker.getTypeOfSymbol(symbol) : symbol => checker.getDeclaredTypeOfSymbol(symbol)
+    const [fromType, toType] = [typeOf(from), typeOf(to)]
+    const forward = checker.isTypeAssignableTo(toType, fromType)
+    const backward = checker.isTypeAssignableTo(fromType, toType)
+
+    if (isValue(from)) {
+      return [name, !forward || arity(toType) < arity(fromType) ? 'major'
+        : !backward || arity(toType) > arity(fromType) || offersMore(fromType, toType) ? 'minor'
+        : 'patch']
+    }
+
+    return [name, !forward || !backward ? 'major' : offersMore(fromType, toType) ? 'minor' : 'patch']
+  }))
+}
+
+/**
+ * Differences between two API snapshots, one row per added, removed or changed export:
+ * { subpath, export, change, bump } where `bump` is the smallest semver bump the change needs.
+ */
+export function compareApi(before, after) {
+  const changes = []
+
+  for (const subpath of [...new Set([...Object.keys(before), ...Object.keys(after)])].sort()) {
+    const [old, current] = [before[subpath], after[subpath]]
+
+    if (!old || !current) {
+      changes.push({ subpath, export: '*', change: old ? 'removed' : 'added', bump: old ? 'major' : 'minor' })
+      continue
+    }
+
+    const changed = Object.keys(current).filter(name => old[name] !== undefined && old[name] !== current[name])
+    const bumps = changed.length ? classifyChanges(old, current, changed) : {}
+
+    for (const name of [...new Set([...Object.keys(old), ...Object.keys(current)])].sort()) {
+      if (old[name] === undefined) {
+        changes.push({ subpath, export: name, change: 'added', bump: 'minor' })
+      } else if (current[name] === undefined) {
+        changes.push({ subpath, export: name, change: 'removed', bump: 'major' })
+      } else if (bumps[name]) {
+        const change = { major: 'narrowed', minor: 'widened', patch: 'changed' }[bumps[name]]
+        changes.push({ subpath, export: name, change, bump: bumps[name] })
+      }
+    }
+  }
+
+  return changes
+}
+
+// The smallest bump that covers every change - undefined when nothing changed
+export const requiredBump = changes => BUMPS.findLast(bump => changes.some(change => change.bump === bump))
+
+export const formatApiChanges = changes => formatTable(changes, ['subpath', 'export', 'change', 'bump'])
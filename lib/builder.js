@@ -1,30 +1,99 @@
+import { nodeResolve } from '@rollup/plugin-node-resolve'
+import replace from '@rollup/plugin-replace'
 import terser from '@rollup/plugin-terser'
-import typescript from '@rollup/plugin-typescript'
 import fs from 'fs-extra'
-import { globby } from 'globby'
-import { rollup } from 'rollup'
+import { globby, globbySync } from 'globby'
+import { rollup, watch as rollupWatch } from 'rollup'
 import bundleSize from 'rollup-plugin-bundle-size'
 import copy from 'rollup-plugin-copy'
+import dts from 'rollup-plugin-dts'
 import { rimraf } from 'rimraf'
+import ts from 'typescript'
+import { builtinModules, createRequire } from 'node:module'
+import { availableParallelism } from 'node:os'
 import path from 'path'
+import { compareApi, extractApi, formatApiChanges, readApi, requiredBump, writeApi } from './api.js'
+import { openCache } from './cache.js'
+import { checkPackage, reportCheck } from './check.js'
+import {
+  SIZE_MANIFEST,
+  SIZE_METRICS,
+  checkBudgets,
+  compareManifests,
+  fetchPublishedManifest,
+  formatBytes,
+  formatComparison,
+  formatTable,
+  formatViolations,
+  measure,
+  measureEntry,
+  measureFile,
+  packageExports,
+  parseBudgets,
+  parseSnippetBudget,
+  readManifest,
+  writeManifest,
+} from './sizes.js'
+import { METAFILE, TREEMAP, describeChunks, sharedModules, writeMetafile, writeTreemap } from './metafile.js'
+import { finalizeSnippet, injectSnippet, parseSnippets, prepareSnippet, snippetPath } from './snippets.js'
+import { TARGETS, checkSyntax, parseTargets, terserEcma } from './targets.js'
+import { CONSUMER, bareImport, consumerPlugin, namedImport, renderedModules, sideEffectModules, unusedModules } from './treeshake.js'
 
-const DEFAULT_IGNORE_PATTERNS = ['**/*.spec.ts', '**/types.ts', '**/*.ignore.*.ts']
+const DEFAULT_IGNORE_PATTERNS = ['**/*.spec.*', '**/types.ts', '**/*.ignore.*', '**/*.d.{ts,mts,cts}']
+
+// Entry extensions the compiler and the declaration bundler both understand
+const SUPPORTED_EXTENSIONS = ['ts', 'mts', 'cts', 'tsx', 'js', 'jsx']
+
+// Script-tag bundles for --global, written as <name>.<format>.js
+const GLOBAL_FORMATS = ['iife', 'umd']
+
+// Options that only affect reporting, not what gets built - changing them keeps the cache
+const UNCACHED_OPTIONS = [
+  'concurrency', 'compare', 'baseline', 'registry', 'update-baseline', 'max-size', 'snippet-max-size',
+  'metafile', 'treemap', 'treeshake', 'side-effects', 'api', 'update-api', 'check', 'watch', 'cache', 'no-cache', 'help', 'dependencies',
+]
+
+// --chunks: shared chunk file names, <out>/chunks/<name>-<hash>.mjs or <out>/chunks/<name>.mjs
+const CHUNK_NAMING = ['hashed', 'named']
+
+const withDefaults = options => ({
+  from: 'src',
+  out: 'dist',
+  sourcemap: false,
+  hybrid: false,
+  minify: true,
+  pattern: '*',
+  extensions: 'ts,mts,tsx,js,jsx',
+  'global-format': 'iife',
+  ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined)),
+})
 
 export async function build(options = {}) {
-  const {
-    from = 'src',
-    out = 'dist',
-    'release-from': releaseFrom,
-    copy: copyFiles,
-    snippet,
-    sourcemap = false,
-    hybrid = false,
-    minify = true
-  } = options
-
-  // If releasing from the output dir (default), exports need no prefix.
-  // If releasing from elsewhere (e.g. root), exports need the output dir prefix.
-  const exportPrefix = (releaseFrom ?? out) === out ? '.' : `./${out}`
+  options = withDefaults(options)
+  const { from, out } = options
+
+  // Parse options up front so a typo fails before anything is built
+  const concurrency = parseConcurrency(options.concurrency)
+  const budgets = parseBudgets(options['max-size'])
+  const snippets = parseSnippets(options.snippet)
+  const snippetBudget = parseSnippetBudget(options['snippet-max-size'])
+  const defines = parseDefines(options.define)
+  const [target, ...extraTargets] = parseTargets(options.target)
+  validateChunks(options)
+
+  if (Object.keys(snippetBudget).length && !snippets.length) {
+    throw new Error('--snippet-max-size requires --snippet')
+  }
+
+  if (options['update-baseline'] && !options.baseline) {
+    throw new Error('--update-baseline requires --baseline <file>')
+  }
+
+  if (options['update-api'] && !options.api) {
+    throw new Error('--update-api requires --api <file>')
+  }
+
+  validateGlobalOptions(options)
 
   console.log(`📦 Building from ${from}/ to ${out}/`)
 
@@ -32,231 +101,1552 @@ export async function build(options = {}) {
   await rimraf(out)
   await fs.ensureDir(out)
 
-  // Scan files to build
-  const pattern = `./${from}/*.ts`
-  const files = (await globby(pattern, {
-    ignore: DEFAULT_IGNORE_PATTERNS,
-  })).map(filePath => ({
-    path: filePath,
-    name: path.basename(filePath, '.ts'),
-    shortPath: filePath.replace(new RegExp(`(/${from})|(\.ts)`, 'g'), '').replace('./index', '.'),
-    esm: path.join(out, path.basename(filePath, '.ts') + '.mjs'),
-    cjs: path.join(out, path.basename(filePath, '.ts') + '.js'),
-    types: path.join(out, path.basename(filePath, '.ts') + '.d.ts'),
-  })).sort((a, b) => a.shortPath.toLowerCase() < b.shortPath.toLowerCase() ? -1 : 1)
+  const files = await findEntries(options)
+  const pkg = await fs.readJSON('./package.json')
+  options.dependencies = dependencyPolicy(pkg, options)
+  options.defines = withVersion(defines, pkg)
+  options.header = formatBanner(options.banner, pkg)
 
-  if (files.length === 0) {
-    throw new Error(`No TypeScript files found in ${from}/`)
+  const globals = browserGlobals(files, options)
+
+  await writeExports(files, { ...options, globals })
+
+  // Every build shares one TypeScript program, so the project is only type-checked once
+  const typescript = typescriptProgram(options)
+  const builds = options.chunks
+    ? [{ name: 'entries', slot: chunkedSlot('entries', files), config: createChunkedBuild(files, options, typescript.plugin), entries: files }]
+    : files.map(file => ({ name: file.name, config: createBuild(file, files, options, typescript.plugin), entries: [file] }))
+
+  // One rolled-up declaration file per entry, rather than one per source module
+  builds.push(...files.map(file => ({ name: `${file.name} (types)`, config: createTypesBuild(file, options, typescript) })))
+
+  // Script-tag bundles exposing a global, for CDN use
+  builds.push(...files.filter(file => globals.has(file.name)).map(file => ({
+    name: `${file.name} (${options['global-format']})`,
+    config: createBrowserBuild(file, globals.get(file.name), options, typescript.plugin),
+  })))
+
+  // One README snippet build per --snippet name
+  builds.push(...snippets.map(name => ({
+    name: `${name} (snippet)`,
+    config: createSnippetBuild(name, files, options, typescript.plugin),
+  })))
+
+  // Every --target after the first builds into its own folder, with its own TypeScript program
+  // (already type-checked by the first)
+  const targetPrograms = extraTargets.map(extra => ({ target: extra, program: typescriptProgram({ ...options, target: extra }, { check: false }) }))
+  builds.push(...targetPrograms.flatMap(({ target: extra, program }) => options.chunks
+    ? [{
+      name: `entries (${extra})`,
+      slot: chunkedSlot(`entries (${extra})`, files),
+      config: createChunkedBuild(
+        files.map(file => ({ ...file, ...file.targets[extra] })),
+        { ...options, target: extra, copy: undefined },
+        program.plugin,
+        path.join(out, extra),
+      ),
+    }]
+    : files.map(file => ({
+      name: `${file.name} (${extra})`,
+      config: createBuild({ ...file, ...file.targets[extra] }, files, { ...options, target: extra }, program.plugin),
+    }))))
+
+  // Unchanged builds are restored from the last run's outputs rather than rebuilt
+  const cache = options.cache === false ? undefined : openCache(await cacheKey(options, pkg))
+
+  // Execute all builds, up to `concurrency` at a time
+  const started = Date.now()
+  const describeEntries = options.metafile || options.treemap
+  const chunks = new Map()
+  const timings = await runConcurrently(builds, concurrency, async ({ name, slot = name, config, entries }) => {
+    const entryStarted = Date.now()
+
+    // The --copy build does work outside its own outputs, so it always runs
+    const cacheable = cache && !config.plugins.some(plugin => plugin?.name === 'copy')
+    const cached = cacheable && await cache.restore(name, slot)
+    if (cached) {
+      for (const [entryName, description] of Object.entries(cached.described)) {
+        chunks.set(entryName, description)
+      }
+      return { name, duration: Date.now() - entryStarted }
+    }
+
+    const bundle = await rollup(config)
+    const outputs = []
+    const described = {}
+
+    try {
+      for (const output of [].concat(config.output)) {
+        const written = await bundle.write(output)
+        const dir = output.dir ?? path.dirname(output.file)
+        outputs.push(...written.output.map(item => path.join(dir, item.fileName)))
+
+        // Rollup's module graph is gone once the bundle closes, so the metafile is described from here
+        // (always, so a cached build can still produce one later)
+        if (entries && output.format === 'esm') {
+          const descriptions = describeChunks(written.output)
+          for (const file of entries) {
+            described[file.name] = descriptions.get(path.resolve(file.path))
+          }
+        }
+      }
+
+      if (cacheable) {
+        await cache.save(slot, { inputs: bundle.watchFiles, outputs, described })
+      }
+    } finally {
+      await bundle.close()
+    }
+
+    for (const [entryName, description] of Object.entries(described)) {
+      chunks.set(entryName, description)
+    }
+
+    return { name, duration: Date.now() - entryStarted }
+  })
+
+  const treeshaking = options.treeshake || options['side-effects']
+    ? await analyzeTreeshaking(files, options, typescript.plugin)
+    : undefined
+
+  const slowest = timings.reduce((a, b) => b.duration > a.duration ? b : a)
+  console.log(`⏱️  Built ${builds.length} bundle(s) in ${Date.now() - started}ms (concurrency ${concurrency}, slowest: ${slowest.name} ${slowest.duration}ms)`)
+
+  if (cache) {
+    console.log(cache.summary())
   }
 
-  console.log(`📄 Found ${files.length} file(s):`, files.map(f => f.name).join(', '))
+  // Inject each snippet into its README marker - a lone snippet may also use the unnamed marker
+  const snippetCode = {}
+  for (const name of snippets) {
+    snippetCode[name] = await injectSnippet(name, out, { unnamed: snippets.length === 1 })
+  }
+
+  await enforceTargets(files, [target, ...extraTargets], { ...options, globals })
+
+  // Size manifest (raw/gzip/brotli per export) for comparisons and `itty size`.
+  // Shared chunks count towards every export that loads them.
+  const sizes = {}
+  for (const file of files) {
+    sizes[file.name] = await measureEntry(file.esm, out)
+  }
+
+  const manifest = {
+    name: pkg.name,
+    version: pkg.version,
+    exports: Object.fromEntries(files.map(file => [file.shortPath, {
+      file: path.relative(out, file.esm).split(path.sep).join('/'),
+      ...sizes[file.name],
+    }])),
+  }
+
+  // Browser bundles aren't exports, so they're kept apart from the export sizes
+  if (globals.size) {
+    manifest.browser = {}
+    for (const file of files.filter(file => globals.has(file.name))) {
+      manifest.browser[file.shortPath] = {
+        file: path.relative(out, file.browser).split(path.sep).join('/'),
+        global: globals.get(file.name),
+        ...await measureFile(file.browser),
+      }
+    }
+
+    console.log(`\n📏 Bundle sizes:\n${formatBundleSizes(manifest, options['global-format'])}\n`)
+  }
+
+  if (options.chunks) {
+    manifest.chunks = await measureChunks(manifest, out)
+  }
+
+  await writeManifest(out, manifest)
+
+  if (describeEntries) {
+    await reportComposition(files, chunks, manifest, options)
+  }
+
+  if (treeshaking) {
+    reportTreeshaking(treeshaking)
+  }
+
+  if (options['side-effects']) {
+    await writeSideEffects(treeshaking, options)
+  }
+
+  if (options.compare) {
+    await reportComparison(manifest, options)
+  }
+
+  if (options['update-baseline']) {
+    await fs.copy(path.join(out, SIZE_MANIFEST), options.baseline)
+    console.log(`📌 Size baseline written to ${options.baseline}`)
+  }
 
-  // Determine export strategy
-  const isSingleFile = files.length === 1
+  await enforceBudgets(sizes, budgets, snippetCode, snippetBudget)
+
+  if (options.api) {
+    await enforceApi(options)
+  }
+
+  // Same as `itty check`, against the dir this package is released from
+  if (options.check) {
+    reportCheck(await checkPackage(process.cwd(), { roots: [options['release-from'] ?? out] }))
+  }
+
+  console.log(`✨ Build completed: ${files.length} file(s) built to ${out}/`)
+}
+
+/**
+ * Builds once, then keeps a Rollup watcher per entry so only entries that import a
+ * changed file are rebuilt. Adding or removing entries in `from/` starts or stops the
+ * matching watcher and rewrites package.json exports. Resolves to a handle with `close()`.
+ */
+export async function watch(options = {}) {
+  options = withDefaults(options)
+  const { from, out } = options
+  const snippets = parseSnippets(options.snippet)
+  const defines = parseDefines(options.define)
+  const [, ...extraTargets] = parseTargets(options.target)
+  validateChunks(options)
+
+  validateGlobalOptions(options)
+
+  console.log(`👀 Watching ${from}/ → ${out}/`)
+
+  await rimraf(out)
+  await fs.ensureDir(out)
+
+  let files = await findEntries(options)
   const pkg = await fs.readJSON('./package.json')
+  options.dependencies = dependencyPolicy(pkg, options)
+  options.defines = withVersion(defines, pkg)
+  options.header = formatBanner(options.banner, pkg)
+
+  await writeExports(files, { ...options, globals: browserGlobals(files, options) })
+
+  // One TypeScript program per target, shared by every watcher
+  const typescript = typescriptProgram(options)
+  const targetPrograms = Object.fromEntries(extraTargets.map(extra => [extra, typescriptProgram({ ...options, target: extra }, { check: false })]))
+
+  const watchers = new Map()
+
+  const startWatcher = (key, config, { label, onBuilt } = {}) => {
+    const watcher = rollupWatch({ ...config, watch: { clearScreen: false } })
+
+    watcher.on('event', async event => {
+      if (event.code === 'BUNDLE_END') {
+        await event.result.close()
+        console.log(`🔁 Built ${label ?? event.input} in ${event.duration}ms`)
+        if (onBuilt) {
+          await onBuilt().catch(error => console.error(`❌ ${error.message}`))
+        }
+      } else if (event.code === 'ERROR') {
+        await event.result?.close()
+        console.error(`❌ ${event.error.message}`)
+      }
+    })
+
+    watchers.set(key, watcher)
+  }
+
+  const startEntry = file => {
+    if (!options.chunks) {
+      startWatcher(file.path, createBuild(file, files, { ...options, copyOnce: true }, typescript.plugin))
+    }
+    startWatcher(`${file.path}:types`, createTypesBuild(file, options, typescript), { label: `types for ${file.path}` })
+
+    const globalName = browserGlobals(files, options).get(file.name)
+    if (globalName) {
+      startWatcher(`${file.path}:browser`, createBrowserBuild(file, globalName, options, typescript.plugin), { label: `${options['global-format']} for ${file.path}` })
+    }
 
-  // Update package.json exports
-  if (isSingleFile) {
-    // Single file maps to root export
-    const file = files[0]
-    const exportObj = {
-      import: `${exportPrefix}/${path.basename(file.esm)}`,
-      types: `${exportPrefix}/${path.basename(file.types)}`,
+    if (!options.chunks) {
+      for (const [extra, outputs] of Object.entries(file.targets)) {
+        startWatcher(`${file.path}:${extra}`, createBuild({ ...file, ...outputs }, files, { ...options, target: extra }, targetPrograms[extra].plugin), { label: `${extra} for ${file.path}` })
+      }
     }
+  }
 
-    // Add CJS export only if hybrid mode is enabled
-    if (hybrid) {
-      exportObj.require = `${exportPrefix}/${path.basename(file.cjs)}`
+  // With --chunks, all entries share one watcher (per target), restarted whenever entries come or go
+  const startChunkedEntries = async () => {
+    for (const key of [...watchers.keys()].filter(key => key === 'entries' || key.startsWith('entries:'))) {
+      await watchers.get(key).close()
+      watchers.delete(key)
     }
 
-    pkg.exports = {
-      '.': exportObj
+    startWatcher('entries', createChunkedBuild(files, { ...options, copyOnce: true }, typescript.plugin), { label: 'entries' })
+
+    for (const extra of extraTargets) {
+      const targetFiles = files.map(file => ({ ...file, ...file.targets[extra] }))
+      startWatcher(`entries:${extra}`, createChunkedBuild(targetFiles, { ...options, target: extra, copy: undefined }, targetPrograms[extra].plugin, path.join(out, extra)), {
+        label: `entries (${extra})`,
+      })
+    }
+  }
+
+  files.forEach(startEntry)
+  if (options.chunks) await startChunkedEntries()
+
+  for (const name of snippets) {
+    startWatcher(`snippet:${name}`, createSnippetBuild(name, files, options, typescript.plugin), {
+      label: `${name} snippet`,
+      onBuilt: () => injectSnippet(name, out, { unnamed: snippets.length === 1 }),
+    })
+  }
+
+  // Re-scan for added/removed entries - contents are handled by the Rollup watchers
+  let rescanTimer
+  const rescan = async () => {
+    const { files: nextFiles } = await scanFiles(options)
+    const previous = new Set(files.map(f => f.path))
+    const next = new Set(nextFiles.map(f => f.path))
+
+    const added = nextFiles.filter(f => !previous.has(f.path))
+    const removed = files.filter(f => !next.has(f.path))
+    if (!added.length && !removed.length) return
+
+    files = nextFiles
+    for (const program of [typescript, ...Object.values(targetPrograms)]) {
+      program.invalidate()
+    }
+
+    for (const file of removed) {
+      const targets = Object.keys(file.targets)
+      for (const key of [file.path, `${file.path}:types`, `${file.path}:browser`, ...targets.map(target => `${file.path}:${target}`)]) {
+        await watchers.get(key)?.close()
+        watchers.delete(key)
+      }
+
+      const outputs = [file.esm, file.cjs, file.types, file.ctypes, file.browser, ...Object.values(file.targets).flatMap(({ esm, cjs }) => [esm, cjs])]
+      await Promise.all(outputs.map(output => fs.remove(output)))
+      console.log(`➖ Removed entry ${file.name}`)
+    }
+
+    for (const file of added) {
+      console.log(`➕ Added entry ${file.name}`)
+      startEntry(file)
+    }
+
+    if (options.chunks) await startChunkedEntries()
+
+    await writeExports(files, { ...options, globals: browserGlobals(files, options) })
+  }
+
+  const sourceWatcher = fs.watch(from, { recursive: true }, () => {
+    clearTimeout(rescanTimer)
+    rescanTimer = setTimeout(() => {
+      rescan().catch(error => console.error(`❌ ${error.message}`))
+    }, 100)
+  })
+
+  return {
+    async close() {
+      clearTimeout(rescanTimer)
+      sourceWatcher.close()
+      await Promise.all([...watchers.values()].map(watcher => watcher.close()))
+      watchers.clear()
+    }
+  }
+}
+
+// "ts,.tsx" or ['ts', '.tsx'] → ['ts', 'tsx']
+function parseExtensions(value) {
+  const extensions = [].concat(value).flatMap(item => String(item).split(','))
+    .map(ext => ext.trim().replace(/^\./, ''))
+    .filter(Boolean)
+
+  for (const ext of extensions) {
+    if (!SUPPORTED_EXTENSIONS.includes(ext)) {
+      throw new Error(`Unsupported extension ".${ext}" (expected any of: ${SUPPORTED_EXTENSIONS.join(', ')})`)
+    }
+  }
+
+  return extensions
+}
+
+// Scans for entries, printing what was found and anything left out (and why)
+async function findEntries(options) {
+  const { files, excluded } = await scanFiles(options)
+
+  if (excluded.length) {
+    console.log(`🙈 Excluded ${excluded.length} file(s):\n${formatTable(excluded, ['file', 'reason'])}`)
+  }
+
+  if (files.length === 0) {
+    throw new Error(`No entry files found in ${options.from}/ (extensions: ${parseExtensions(options.extensions).map(ext => `.${ext}`).join(', ')})`)
+  }
+
+  console.log(`📄 Found ${files.length} file(s):`, files.map(f => f.name).join(', '))
+  return files
+}
+
+/**
+ * Normalizes --entries into { [subpath]: source }. Accepts CLI strings
+ * ("./utils=src/lib/utils.ts", comma-separated or repeated) or a config object.
+ */
+function parseEntries(entries) {
+  if (!entries) return undefined
+
+  const pairs = typeof entries === 'object' && !Array.isArray(entries)
+    ? Object.entries(entries)
+    : [].concat(entries).flatMap(rule => rule.split(',')).map(rule => rule.trim()).filter(Boolean).map(rule => {
+      const [subpath, source] = rule.split('=').map(part => part.trim())
+      if (!source) {
+        throw new Error(`Invalid --entries "${rule}" (expected subpath=file, e.g. ./utils=src/utils.ts)`)
+      }
+      return [subpath, source]
+    })
+
+  for (const [subpath] of pairs) {
+    if (subpath !== '.' && !subpath.startsWith('./')) {
+      throw new Error(`Invalid entry subpath "${subpath}" (expected "." or to start with "./")`)
+    }
+  }
+
+  return pairs.length ? Object.fromEntries(pairs) : undefined
+}
+
+/**
+ * Finds entry files to build. Explicit `entries` ({ [subpath]: source }) are used as-is;
+ * otherwise `pattern` is globbed relative to `from`, minus ignored files and unsupported
+ * extensions. Resolves to { files, excluded: [{ file, reason }] }.
+ */
+async function scanFiles({ from, out, pattern, extensions, ignore, 'no-default-ignore': noDefaultIgnore, entries, 'global-format': globalFormat, target }) {
+  const entryExtension = new RegExp(`\\.(${parseExtensions(extensions).join('|')})$`)
+  const explicit = parseEntries(entries)
+
+  const createFile = (source, name, shortPath) => ({
+    path: `./${path.posix.normalize(source)}`,
+    name,
+    shortPath,
+    esm: path.join(out, name + '.mjs'),
+    cjs: path.join(out, name + '.js'),
+    types: path.join(out, name + '.d.ts'),
+    ctypes: path.join(out, name + '.d.cts'),
+    browser: path.join(out, `${name}.${globalFormat}.js`),
+    // Extra --target builds: { es2022: { esm, cjs } }
+    targets: Object.fromEntries(parseTargets(target).slice(1).map(extra => [extra, {
+      esm: path.join(out, extra, name + '.mjs'),
+      cjs: path.join(out, extra, name + '.js'),
+    }])),
+  })
+
+  const excluded = []
+  let files
+
+  if (explicit) {
+    // Output names follow the subpath, wherever the source lives: "./adapters/node" → adapters/node.mjs
+    files = []
+    for (const [subpath, source] of Object.entries(explicit)) {
+      if (!await fs.pathExists(source)) {
+        throw new Error(`Entry "${subpath}" points to missing file ${source}`)
+      }
+      if (!SUPPORTED_EXTENSIONS.some(ext => source.endsWith(`.${ext}`))) {
+        throw new Error(`Entry "${subpath}" has an unsupported extension: ${source} (expected any of: ${SUPPORTED_EXTENSIONS.join(', ')})`)
+      }
+
+      files.push(createFile(source, subpath === '.' ? 'index' : subpath.slice(2), subpath))
     }
   } else {
-    // Multiple files get individual exports
-    pkg.exports = files.reduce((acc, file) => {
-      const exportObj = {
-        import: `${exportPrefix}/${path.basename(file.esm)}`,
-        types: `${exportPrefix}/${path.basename(file.types)}`,
+    const ignorePatterns = [
+      ...noDefaultIgnore ? [] : DEFAULT_IGNORE_PATTERNS.map(glob => ({ glob, label: 'default' })),
+      ...parseList(ignore).map(glob => ({ glob, label: '--ignore' })),
+    ]
+
+    // Each ignore glob is matched separately, so an excluded file can say which one caught it
+    const ignoredBy = new Map()
+    for (const { glob, label } of ignorePatterns) {
+      for (const match of await globby(glob, { cwd: from })) {
+        if (!ignoredBy.has(match)) ignoredBy.set(match, `ignored by ${glob} (${label})`)
       }
+    }
 
-      // Add CJS export only if hybrid mode is enabled
-      if (hybrid) {
-        exportObj.require = `${exportPrefix}/${path.basename(file.cjs)}`
+    const candidates = await globby(pattern, { cwd: from })
+    files = []
+
+    for (const relativePath of candidates.sort()) {
+      const reason = ignoredBy.get(relativePath)
+        ?? (!entryExtension.test(relativePath) ? 'not an entry extension' : undefined)
+
+      if (reason) {
+        excluded.push({ file: path.posix.join(from, relativePath), reason })
+        continue
       }
 
-      acc[file.shortPath] = exportObj
-      return acc
-    }, {})
+      // Nested entries keep their path: adapters/node.ts → adapters/node.mjs → "./adapters/node",
+      // whatever the source extension - utils.js and utils.ts both export as "./utils"
+      const name = relativePath.replace(entryExtension, '')
+      files.push(createFile(path.posix.join(from, relativePath), name, name === 'index' ? '.' : `./${name.replace(/\/index$/, '')}`))
+    }
+  }
+
+  files.sort((a, b) => a.shortPath.toLowerCase() < b.shortPath.toLowerCase() ? -1 : 1)
+
+  // e.g. adapters.ts and adapters/index.ts would both claim "./adapters"
+  for (let i = 1; i < files.length; i++) {
+    if (files[i].shortPath === files[i - 1].shortPath) {
+      throw new Error(`Entries ${files[i - 1].path} and ${files[i].path} both map to export "${files[i].shortPath}"`)
+    }
+  }
+
+  return { files, excluded }
+}
+
+// "a,b", ["a", "b,c"] → ['a', 'b', 'c'] - for options that are repeatable as well as comma-separated
+const parseList = value => value
+  ? [].concat(value).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean)
+  : []
+
+// "@scope/pkg/sub" → "@scope/pkg", "pkg/sub" → "pkg"
+const packageName = id => id.split('/').slice(0, id.startsWith('@') ? 2 : 1).join('/')
+// "#internal" is one of the package's own `imports`, not a package
+const isBareImport = id => !/^[./\0#]/.test(id) && !path.isAbsolute(id)
+const isBuiltin = id => id.startsWith('node:') || builtinModules.includes(id)
+
+/**
+ * Decides what stays an import in the ESM/CJS output: Node built-ins, dependencies and
+ * peerDependencies, unless named in --bundle. Bare imports package.json doesn't list at
+ * all are bundled, with a warning - once per package, however many entries import it.
+ */
+function dependencyPolicy(pkg, { bundle }) {
+  const bundled = new Set(parseList(bundle))
+  const listed = new Set(['dependencies', 'peerDependencies', 'devDependencies', 'optionalDependencies']
+    .flatMap(field => Object.keys(pkg[field] ?? {})))
+  const externals = new Set([...Object.keys(pkg.dependencies ?? {}), ...Object.keys(pkg.peerDependencies ?? {})]
+    .filter(name => !bundled.has(name)))
+  const warned = new Set()
+
+  if (externals.size) {
+    console.log(`🔗 External: ${[...externals].sort().join(', ')}`)
+  }
+
+  return {
+    external: id => isBareImport(id) && (isBuiltin(id) || externals.has(packageName(id))),
+    plugin: {
+      name: 'itty-dependencies',
+      async resolveId(source, importer, resolveOptions) {
+        const name = packageName(source)
+        if (!importer || !isBareImport(source) || isBuiltin(source) || listed.has(name) || name === pkg.name) return null
+
+        // Unresolvable imports already get Rollup's own warning
+        const resolved = await this.resolve(source, importer, { ...resolveOptions, skipSelf: true })
+        if (resolved && !resolved.external && !warned.has(name)) {
+          warned.add(name)
+          console.warn(`⚠️  "${name}" is imported by ${path.relative(process.cwd(), importer)} but isn't listed in package.json - it will be bundled`)
+        }
+
+        return resolved
+      },
+    },
+  }
+}
+
+// __DEV__, process.env.NODE_ENV
+const DEFINE_KEY = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/
+
+/**
+ * Normalizes --define into { [key]: expression }. CLI values are KEY=value strings, where the
+ * value is a JavaScript expression (so strings need their own quotes). A config object may
+ * also use plain values - { __DEV__: false } - which are written out as JSON.
+ */
+function parseDefines(define) {
+  if (!define) return {}
+
+  const pairs = typeof define === 'object' && !Array.isArray(define)
+    ? Object.entries(define).map(([key, value]) => [key, typeof value === 'string' ? value : JSON.stringify(value)])
+    : [].concat(define).map(rule => {
+      const index = rule.indexOf('=')
+      if (index === -1) {
+        throw new Error(`Invalid --define "${rule}" (expected KEY=value, e.g. __DEV__=false)`)
+      }
+      return [rule.slice(0, index).trim(), rule.slice(index + 1).trim()]
+    })
+
+  for (const [key, value] of pairs) {
+    if (!DEFINE_KEY.test(key)) {
+      throw new Error(`Invalid --define key "${key}" (expected an identifier or property path, e.g. __DEV__ or process.env.NODE_ENV)`)
+    }
+    if (value === undefined || value === '') {
+      throw new Error(`--define "${key}" has no value`)
+    }
+  }
+
+  return Object.fromEntries(pairs)
+}
+
+// __VERSION__ is always available, unless defined explicitly
+const withVersion = (defines, pkg) => pkg.version === undefined
+  ? defines
+  : { __VERSION__: JSON.stringify(pkg.version), ...defines }
+
+// "{name} v{version} | {license}" → "/*! my-lib v1.2.3 | MIT */" - text that's already a comment is used as-is
+function formatBanner(banner, pkg) {
+  if (!banner) return undefined
+
+  const text = banner.replace(/\{(name|version|license)\}/g, (_, field) => pkg[field] ?? '')
+  return /^\s*(\/\*|\/\/)/.test(text) ? text : `/*! ${text} */`
+}
+
+// Runs after TypeScript, ahead of minification, so terser drops the branches a define makes dead
+const definePlugin = ({ defines }) => defines && Object.keys(defines).length
+  ? replace({ values: defines, preventAssignment: true })
+  : undefined
+
+// Rollup adds output.banner before plugins see the chunk, so a minified banner has to come from terser itself
+const minifier = ({ header, target }, terserOptions = {}) => terser({
+  ...target && { ecma: terserEcma(target) },
+  ...terserOptions,
+  format: { preamble: header },
+})
+
+// Conditions itty writes itself - anything else in an exports entry was added by hand
+const GENERATED_CONDITIONS = ['import', 'require', 'types']
+const isGeneratedCondition = condition => GENERATED_CONDITIONS.includes(condition) || TARGETS.includes(condition)
+
+// Every target string in an exports value, however deeply nested
+const exportTargets = value => typeof value === 'string' ? [value]
+  : value && typeof value === 'object' ? Object.values(value).flatMap(exportTargets)
+  : []
+
+// Output file → package.json path. Releasing from the output dir (default) needs no prefix,
+// releasing from elsewhere (e.g. root) needs the output dir prefix.
+const exportPathFor = ({ out, 'release-from': releaseFrom }) => {
+  const exportPrefix = (releaseFrom ?? out) === out ? '.' : `./${out}`
+  return output => `${exportPrefix}/${path.relative(out, output).split(path.sep).join('/')}`
+}
+
+async function writeExports(files, { from, out, hybrid, entries, 'release-from': releaseFrom, 'legacy-fields': legacyFields, cdn, globals }) {
+  const toExportPath = exportPathFor({ out, 'release-from': releaseFrom })
+
+  // ESM only: { import, types }. Hybrid builds nest types per condition, so that
+  // require() under node16/nodenext resolves the .d.cts rather than the ESM .d.ts
+  const createExport = file => hybrid
+    ? {
+      ...targetConditions(file),
+      import: { types: toExportPath(file.types), default: toExportPath(file.esm) },
+      require: { types: toExportPath(file.ctypes), default: toExportPath(file.cjs) },
+    }
+    : {
+      ...targetConditions(file),
+      import: toExportPath(file.esm),
+      types: toExportPath(file.types),
+    }
+
+  // Extra --target builds come first, for bundlers that opt in with e.g. conditionNames: ['es2022', ...]
+  const targetConditions = file => Object.fromEntries(Object.entries(file.targets).map(([target, output]) => [
+    target,
+    hybrid ? { import: toExportPath(output.esm), require: toExportPath(output.cjs) } : toExportPath(output.esm),
+  ]))
+
+  // Single file maps to root export, multiple files get individual exports.
+  // Explicit --entries always keep the subpaths they were given.
+  const generated = files.length === 1 && !parseEntries(entries)
+    ? { '.': files[0] }
+    : Object.fromEntries(files.map(file => [file.shortPath, file]))
+
+  const pkg = await fs.readJSON('./package.json')
+
+  const existing = packageExports(pkg)
+
+  // Targets a previous build may have written (ESM or hybrid), so switching modes isn't a conflict
+  const ownTargets = new Set(files.flatMap(file => [
+    file.esm, file.cjs, file.types, file.ctypes,
+    ...Object.values(file.targets).flatMap(({ esm, cjs }) => [esm, cjs]),
+  ].map(toExportPath)))
+  const isOwn = value => exportTargets(value).every(target => ownTargets.has(target))
+
+  // Every file a build of `subpath` would write: <out>/<name>.mjs etc, or <out>/<name>/index.mjs for nested entries
+  const ownFiles = subpath => new Set((subpath === '.' ? ['index'] : [subpath.slice(2), `${subpath.slice(2)}/index`])
+    .flatMap(name => ['', ...TARGETS].flatMap(target => ['.mjs', '.js', '.d.ts', '.d.cts']
+      .map(ext => toExportPath(path.join(out, target, name + ext))))))
+
+  // Only itty's conditions, all pointing at build output
+  const looksGenerated = value => value && typeof value === 'object'
+    && Object.keys(value).every(isGeneratedCondition)
+    && exportTargets(value).every(target => /\.(c?js|mjs|d\.c?ts)$/.test(target))
+
+  const exports = {}
+
+  for (const [subpath, value] of Object.entries(existing)) {
+    if (generated[subpath]) continue
+
+    if (looksGenerated(value)) {
+      // Left over from an entry that no longer exists (or a single-entry build, now exported by name)
+      const files = ownFiles(subpath)
+      if (isOwn(value) || exportTargets(value).every(target => files.has(target))) continue
+
+      console.warn(`⚠️  package.json exports["${subpath}"] has no entry in ${from}/ and wasn't written by itty build - keeping it`)
+    }
+
+    exports[subpath] = value
+  }
+
+  for (const [subpath, file] of Object.entries(generated)) {
+    const current = existing[subpath]
+    const entry = createExport(file)
+
+    if (typeof current === 'string' || Array.isArray(current)) {
+      console.warn(`⚠️  package.json exports["${subpath}"] is replaced by the generated export`)
+      exports[subpath] = entry
+      continue
+    }
+
+    // Custom conditions (worker, browser, bun, ...) come first, so they win over the generic ones
+    const { default: fallback, ...custom } = current ?? {}
+    for (const condition of Object.keys(custom).filter(isGeneratedCondition)) {
+      if (!isOwn(custom[condition])) {
+        console.warn(`⚠️  package.json exports["${subpath}"].${condition} is replaced by the generated export`)
+      }
+      delete custom[condition]
+    }
+
+    exports[subpath] = { ...custom, ...entry, ...fallback !== undefined && { default: fallback } }
+  }
+
+  // Keep generated subpaths in their original position, with new ones appended
+  const order = [...Object.keys(existing), ...Object.keys(generated)]
+  pkg.exports = Object.fromEntries(
+    [...new Set(order)].filter(subpath => exports[subpath]).map(subpath => [subpath, exports[subpath]])
+  )
+
+  // Top-level fields for tools that predate "exports"
+  if (legacyFields && generated['.']) {
+    const file = generated['.']
+    pkg.main = toExportPath(hybrid ? file.cjs : file.esm)
+    pkg.module = toExportPath(file.esm)
+    pkg.types = toExportPath(file.types)
+  }
+
+  // CDNs serve these when the package is requested without a path, e.g. unpkg.com/itty-router
+  if (cdn) {
+    const file = generated['.'] && globals.has(generated['.'].name)
+      ? generated['.']
+      : files.find(file => globals.has(file.name))
+
+    pkg.unpkg = toExportPath(file.browser)
+    pkg.jsdelivr = toExportPath(file.browser)
   }
 
   // Write updated package.json
   await fs.writeJSON('./package.json', pkg, { spaces: 2 })
   console.log('🔡 Updated package.json exports')
+}
 
-  // Build files with rollup
-  const builds = []
+/**
+ * The TypeScript side of a build: one program for every entry and bundle, created on first
+ * use (so a fully cached build never starts TypeScript), type-checked once, and emitting each
+ * file once. `plugin` compiles TS/TSX (and JSX) for the JS bundles, `declarations` hands the
+ * types builds each module's emitted .d.ts, so rollup-plugin-dts only has declarations to
+ * roll up and never starts a program of its own. In watch mode, a changed file makes the
+ * next build start a new program from the old one.
+ * `check: false` skips reporting diagnostics, for the extra --target programs.
+ */
+function typescriptProgram(options, { check = true } = {}) {
+  const { jsx, compilerOptions } = languageOptions(options)
+  const [target] = parseTargets(options.target)
+  const project = projectConfig()
 
-  for (const file of files) {
-    // Determine outputs based on hybrid mode
-    const outputs = [
-      {
-        format: 'esm',
-        file: file.esm,
-        sourcemap,
-      }
-    ]
+  const overrides = ts.convertCompilerOptionsFromJson({
+    ...compilerOptions,
+    ...target && { target },
+    // Emit stays in memory, but without an outDir TypeScript refuses to "overwrite" the JS it's given
+    outDir: path.resolve(options.out),
+    sourceMap: Boolean(options.sourcemap),
+  }, process.cwd()).options
 
-    // Add CJS output only if hybrid mode is enabled
-    if (hybrid) {
-      outputs.push({
-        format: 'cjs',
-        file: file.cjs,
-        sourcemap,
-      })
+  const programOptions = {
+    module: ts.ModuleKind.ESNext,
+    skipLibCheck: true,
+    ...project.options,
+    ...overrides,
+    // Declarations for JS entries come from their JSDoc
+    allowJs: true,
+    declaration: true,
+    declarationMap: false,
+    declarationDir: undefined,
+    emitDeclarationOnly: false,
+    noEmit: false,
+    noEmitOnError: false,
+    inlineSourceMap: false,
+    // Helpers come from tslib, bundled once rather than repeated in every module
+    importHelpers: true,
+    noEmitHelpers: true,
+  }
+  programOptions.moduleResolution ??= programOptions.module === ts.ModuleKind.Node16 ? ts.ModuleResolutionKind.Node16
+    : programOptions.module === ts.ModuleKind.NodeNext ? ts.ModuleResolutionKind.NodeNext
+    : ts.ModuleResolutionKind.Node10
+
+  // Everything in tsconfig, plus every source in `from` (which may sit outside its "include") -
+  // read again for each new program, so entries added while watching are part of it
+  const rootNames = () => {
+    const sources = globbySync(`**/*.{${SUPPORTED_EXTENSIONS.join(',')}}`, { cwd: options.from, absolute: true })
+    return [...new Set([...project.fileNames, ...sources].map(file => path.resolve(file)))]
+  }
+
+  let program
+  let stale = false
+  let emitted = new Map()
+
+  const current = () => {
+    if (!program || stale) {
+      program = ts.createProgram({ rootNames: rootNames(), options: programOptions, oldProgram: program })
+      stale = false
+      emitted = new Map()
+
+      const diagnostics = check ? ts.getPreEmitDiagnostics(program) : []
+      if (diagnostics.length) {
+        console.warn(`⚠️  TypeScript found ${diagnostics.length} problem(s):\n${ts.formatDiagnostics(diagnostics, formatHost)}`)
+      }
     }
 
-    // Build plugins array
-    const plugins = [
-      typescript({ sourceMap: sourcemap }),
-      bundleSize(),
-    ]
+    return program
+  }
 
-    // Add terser only if minify is enabled
-    if (minify) {
-      plugins.splice(1, 0, terser()) // Insert terser before bundleSize
+  // Compiled JS, its source map and its declarations - one emit per file, however many builds ask
+  const emit = id => {
+    const fileName = path.resolve(id)
+    if (!emitted.has(fileName)) {
+      const output = {}
+      const sourceFile = current().getSourceFile(fileName)
+
+      if (sourceFile) {
+        program.emit(sourceFile, (name, text) => {
+          if (TS_DECLARATION.test(name)) output.declarations = text
+          else if (name.endsWith('.map')) output.map = { ...JSON.parse(text), sources: [path.basename(fileName)], sourceRoot: undefined }
+          else output.code = text.replace(/\n\/\/# sourceMappingURL=.*$/, '')
+        })
+      }
+
+      emitted.set(fileName, output)
     }
 
-    const config = {
-      input: file.path,
-      output: outputs,
-      plugins,
+    return emitted.get(fileName)
+  }
+
+  const resolve = (source, importer) => ts.resolveModuleName(source, importer, programOptions, ts.sys).resolvedModule
+  const compiles = id => !TS_DECLARATION.test(id) && (TS_SOURCE.test(id) || (jsx && id.endsWith('.jsx')))
+  const ownFile = fileName => !fileName.includes('/node_modules/')
+
+  // The project files `file`'s declarations can depend on: whatever it imports, however indirectly,
+  // plus any hand-written declaration files, which may declare globals
+  const dependencies = file => {
+    const found = new Set(current().getSourceFiles()
+      .filter(sourceFile => sourceFile.isDeclarationFile && ownFile(sourceFile.fileName))
+      .map(sourceFile => path.resolve(sourceFile.fileName)))
+
+    const visit = fileName => {
+      const sourceFile = program.getSourceFile(fileName)
+      if (found.has(fileName) || !sourceFile || !ownFile(sourceFile.fileName)) return
+      found.add(fileName)
+
+      const { importedFiles, referencedFiles } = ts.preProcessFile(sourceFile.text, true, true)
+      for (const { fileName: source } of importedFiles) {
+        const resolved = resolve(source, fileName)
+        if (resolved) visit(path.resolve(resolved.resolvedFileName))
+      }
+      for (const { fileName: reference } of referencedFiles) {
+        visit(path.resolve(path.dirname(fileName), reference))
+      }
     }
 
-    // Add copy plugin only to the first build to avoid conflicts
-    if (file === files[0] && copyFiles) {
-      const copyTargets = copyFiles.split(',').map(f => f.trim()).map(src => ({ src, dest: out }))
-      config.plugins.push(copy({ targets: copyTargets }))
+    visit(file)
+    return found
+  }
+
+  // index.ts → index.d.ts, b.mts → b.d.mts, c.jsx → c.d.ts: each module's declarations, served from memory
+  const declarationIds = new Map()
+  const declarationId = file => {
+    const id = file.replace(/\.([cm]?)[jt]sx?$/, '.d.$1ts')
+    declarationIds.set(id, file)
+    return id
+  }
+
+  return {
+    plugin: {
+      name: 'itty-typescript',
+      resolveId(source, importer) {
+        if (source === 'tslib') return TSLIB
+        if (!importer || importer.startsWith('\0')) return null
+
+        // e.g. "./utils.js" for utils.ts, or tsconfig "paths" - external packages are left to node-resolve
+        const resolved = resolve(source, importer)
+        return resolved && !resolved.isExternalLibraryImport && compiles(resolved.resolvedFileName)
+          ? path.resolve(resolved.resolvedFileName)
+          : null
+      },
+      transform(code, id) {
+        if (!compiles(id)) return null
+
+        const output = emit(id)
+        if (output.code !== undefined) return { code: output.code, map: output.map }
+
+        // Outside the program (e.g. a .ts file from node_modules, which TypeScript won't emit)
+        const { outputText, sourceMapText } = ts.transpileModule(code, { compilerOptions: programOptions, fileName: id })
+        return { code: outputText.replace(/\n\/\/# sourceMappingURL=.*$/, ''), map: sourceMapText }
+      },
+      watchChange() {
+        stale = true
+      },
+    },
+
+    declarations: {
+      name: 'itty-declarations',
+      resolveId(source, importer) {
+        if (!importer) return declarationIds.has(source) ? source : null
+
+        const file = declarationIds.get(importer)
+        const resolved = file && resolve(source, file)
+        if (!resolved || resolved.isExternalLibraryImport) return null
+
+        const resolvedFile = path.resolve(resolved.resolvedFileName)
+        return TS_DECLARATION.test(resolvedFile) || !/\.[cm]?[jt]sx?$/.test(resolvedFile) ? resolvedFile : declarationId(resolvedFile)
+      },
+      load(id) {
+        const file = declarationIds.get(id)
+        if (!file) return null
+
+        // Inferred types can come from modules the declarations no longer import
+        for (const dependency of dependencies(file)) {
+          this.addWatchFile(dependency)
+        }
+
+        const { declarations } = emit(file)
+        if (declarations === undefined) this.error(`No declarations for ${path.relative(process.cwd(), file)} - it isn't part of the TypeScript program`)
+
+        return declarations
+      },
+      watchChange() {
+        stale = true
+      },
+    },
+
+    // The id to give a types build as its input for the source `file`
+    declarationId: file => declarationId(path.resolve(file)),
+
+    // For files added to (or removed from) `from`, which no watcher sees change
+    invalidate() {
+      stale = true
+    },
+  }
+}
+
+const TS_SOURCE = /\.(ts|mts|cts|tsx)$/
+const TS_DECLARATION = /\.d\.[cm]?ts$/
+const TSLIB = createRequire(import.meta.url).resolve('tslib/tslib.es6.js')
+
+const formatHost = {
+  getCanonicalFileName: fileName => fileName,
+  getCurrentDirectory: () => process.cwd(),
+  getNewLine: () => '\n',
+}
+
+/**
+ * Compiler options for JS and JSX sources, in tsconfig (JSON) form. Plain JS is bundled by
+ * Rollup as-is, but JSX has to go through TypeScript - `jsx` is only set when `from` has .jsx
+ * files to compile, so pure TypeScript projects compile exactly as before.
+ * JSX uses the automatic runtime unless tsconfig says otherwise.
+ */
+function languageOptions({ from, extensions }) {
+  const project = projectConfig()
+  const compilerOptions = {}
+
+  const jsx = parseExtensions(extensions).includes('jsx')
+    && globbySync('**/*.jsx', { cwd: from, ignore: DEFAULT_IGNORE_PATTERNS }).length > 0
+
+  if (project.options.jsx === undefined) {
+    compilerOptions.jsx = 'react-jsx'
+  }
+
+  return { jsx, compilerOptions }
+}
+
+// The project's own tsconfig (following "extends") and the files it includes, read once
+let project
+function projectConfig() {
+  if (!project) {
+    const configPath = ts.findConfigFile(process.cwd(), ts.sys.fileExists)
+    const { config = {} } = configPath ? ts.readConfigFile(configPath, ts.sys.readFile) : {}
+    const parsed = configPath ? ts.parseJsonConfigFileContent(config, ts.sys, path.dirname(configPath)) : { options: {}, fileNames: [] }
+
+    project = {
+      configPath,
+      options: parsed.options,
+      fileNames: parsed.fileNames,
     }
+  }
 
-    builds.push(config)
+  return project
+}
+
+function parseConcurrency(value) {
+  if (value === undefined) return Math.min(availableParallelism(), 8)
+
+  const concurrency = Number(value)
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid --concurrency "${value}" (expected a positive integer)`)
   }
 
-  // Add snippet build if requested
-  if (snippet) {
-    const snippetFile = files.find(f => f.name === snippet)
-    if (!snippetFile) {
-      throw new Error(`Snippet file "${snippet}" not found. Available files: ${files.map(f => f.name).join(', ')}`)
+  return concurrency
+}
+
+// Like Promise.all(items.map(task)), but with at most `limit` tasks in flight
+async function runConcurrently(items, limit, task) {
+  const results = []
+  let next = 0
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await task(items[index])
     }
+  }
 
-    const snippetPlugins = [typescript()]
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker))
+  return results
+}
+
+function createBuild(file, files, options, tsPlugin) {
+  const { out, copy: copyFiles, copyOnce, sourcemap, hybrid, minify } = options
+
+  // Determine outputs based on hybrid mode
+  const banner = minify ? undefined : options.header
 
-    // Add terser to snippet only if minify is enabled
-    if (minify) {
-      snippetPlugins.push(terser())
+  const outputs = [
+    {
+      format: 'esm',
+      file: file.esm,
+      sourcemap,
+      banner,
     }
+  ]
 
-    builds.push({
-      input: snippetFile.path,
-      output: {
-        file: path.join(out, `${snippet}.snippet.js`),
-        format: 'esm',
-        name: snippet,
-      },
-      plugins: snippetPlugins,
+  // Add CJS output only if hybrid mode is enabled
+  if (hybrid) {
+    outputs.push({
+      format: 'cjs',
+      file: file.cjs,
+      sourcemap,
+      banner,
     })
   }
 
-  // Execute all builds
-  for (const config of builds) {
-    const bundle = await rollup(config)
+  // Build plugins array
+  const plugins = [
+    tsPlugin,
+    definePlugin(options),
+    nodeResolve({ preferBuiltins: true }),
+    bundleSize(),
+  ]
+
+  // Add terser only if minify is enabled
+  if (minify) {
+    plugins.splice(3, 0, minifier(options)) // Insert terser before bundleSize
+  }
+
+  const config = {
+    input: file.path,
+    output: outputs,
+    plugins,
+  }
+
+  // Browser bundles and snippets stay self-contained - only package entries import their dependencies
+  if (options.dependencies) {
+    config.external = options.dependencies.external
+    config.plugins.unshift(options.dependencies.plugin)
+  }
+
+  // Add copy plugin only to the first build to avoid conflicts
+  if (file === files[0] && copyFiles) {
+    const copyTargets = copyFiles.split(',').map(f => f.trim()).map(src => ({ src, dest: out }))
+    config.plugins.push(copy({ targets: copyTargets, copyOnce }))
+  }
+
+  return config
+}
+
+/**
+ * --chunks: every entry in one Rollup run, so modules used by several entries are split into
+ * shared chunks under <dir>/chunks/ rather than copied into each. Entry files keep the names
+ * isolated builds give them, so exports don't change.
+ */
+function createChunkedBuild(files, options, tsPlugin, dir = options.out) {
+  const config = createBuild(files[0], files, options, tsPlugin)
+  const hash = options.chunks === 'hashed' ? '-[hash]' : ''
+
+  return {
+    ...config,
+    // bundle-size only understands single-file outputs - chunked sizes are reported after the build
+    plugins: config.plugins.filter(plugin => plugin?.name !== 'rollup-plugin-bundle-size'),
+    input: Object.fromEntries(files.map(file => [file.name, file.path])),
+    output: config.output.map(({ file, ...output }) => {
+      const ext = path.extname(file)
+      return { ...output, dir, entryFileNames: `[name]${ext}`, chunkFileNames: `chunks/[name]${hash}${ext}` }
+    }),
+  }
+}
 
-    if (Array.isArray(config.output)) {
-      for (const output of config.output) {
-        await bundle.write(output)
+// A chunked build writes one file per entry, so its cache slot is only valid for the same set of entries
+const chunkedSlot = (name, files) => `${name}: ${files.map(file => `${file.name}=${file.path}`).sort().join(',')}`
+
+function validateChunks({ chunks }) {
+  if (chunks !== undefined && !CHUNK_NAMING.includes(chunks)) {
+    throw new Error(`Invalid --chunks "${chunks}" (expected ${CHUNK_NAMING.join(' or ')})`)
+  }
+}
+
+// Sizes of each shared chunk, and the exports that load it - printed, and kept in the size manifest
+async function measureChunks(manifest, out) {
+  const chunks = {}
+
+  for (const [subpath, { chunks: loaded = [] }] of Object.entries(manifest.exports)) {
+    for (const chunk of loaded) {
+      chunks[chunk] ??= { ...await measureFile(path.join(out, chunk)), exports: [] }
+      chunks[chunk].exports.push(subpath)
+    }
+  }
+
+  const formatSizes = size => Object.fromEntries(SIZE_METRICS.map(metric => [metric, formatBytes(size[metric])]))
+
+  console.log(`\n📏 Export sizes, shared chunks included:\n${formatTable(Object.entries(manifest.exports).map(([subpath, size]) => ({
+    export: subpath,
+    file: size.file,
+    ...formatSizes(size),
+  })), ['export', 'file', ...SIZE_METRICS])}`)
+
+  if (Object.keys(chunks).length) {
+    console.log(`\n📦 Shared chunks:\n${formatTable(Object.entries(chunks).map(([file, chunk]) => ({
+      chunk: file,
+      ...formatSizes(chunk),
+      exports: chunk.exports.join(', '),
+    })), ['chunk', ...SIZE_METRICS, 'exports'])}\n`)
+  }
+
+  return chunks
+}
+
+// Minified like the entry, with the snippet's own name reserved so it survives mangling
+function createSnippetBuild(name, files, options, tsPlugin) {
+  const { out, minify } = options
+  const snippetFile = files.find(f => f.name === name)
+  if (!snippetFile) {
+    throw new Error(`Snippet file "${name}" not found. Available files: ${files.map(f => f.name).join(', ')}`)
+  }
+
+  // No banner - the snippet is pasted into the README as-is
+  const snippetPlugins = [
+    tsPlugin,
+    definePlugin(options),
+    nodeResolve(),
+    prepareSnippet(name, snippetFile.path),
+  ]
+
+  // Add terser to snippet only if minify is enabled
+  if (minify) {
+    snippetPlugins.push(minifier({ target: options.target }, { mangle: { reserved: [name] } }))
+  }
+  snippetPlugins.push(finalizeSnippet())
+
+  return {
+    input: snippetFile.path,
+    output: {
+      file: snippetPath(out, name),
+      format: 'esm',
+    },
+    plugins: snippetPlugins,
+  }
+}
+
+function validateGlobalOptions({ global: globalName, 'global-format': format, 'global-entry': entry, cdn }) {
+  if (!GLOBAL_FORMATS.includes(format)) {
+    throw new Error(`Invalid --global-format "${format}" (expected ${GLOBAL_FORMATS.join(' or ')})`)
+  }
+
+  if (globalName !== undefined && !/^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test(globalName)) {
+    throw new Error(`Invalid --global "${globalName}" (expected a JavaScript identifier, e.g. ittyRouter)`)
+  }
+
+  if (entry && !globalName) throw new Error('--global-entry requires --global')
+  if (cdn && !globalName) throw new Error('--cdn requires --global')
+}
+
+/**
+ * Maps entry names to the global each browser bundle assigns. A single entry (or the one
+ * picked with --global-entry) gets the name as-is; with several, the root entry gets the name
+ * and the others hang off it - adapters/node → ittyRouter.adapters.node.
+ */
+function browserGlobals(files, { global: globalName, 'global-entry': entry }) {
+  if (!globalName) return new Map()
+
+  let entries = files
+  if (entry) {
+    const names = entry.split(',').map(name => name.trim())
+    for (const name of names) {
+      if (!files.some(file => file.name === name)) {
+        throw new Error(`Unknown --global-entry "${name}". Available entries: ${files.map(f => f.name).join(', ')}`)
       }
-    } else {
-      await bundle.write(config.output)
     }
+    entries = files.filter(file => names.includes(file.name))
+  }
+
+  const toIdentifier = segment => segment.replace(/[^\w$]+(.)?/g, (_, char = '') => char.toUpperCase())
+
+  return new Map(entries.map(file => [
+    file.name,
+    entries.length === 1 || file.shortPath === '.'
+      ? globalName
+      : [globalName, ...file.shortPath.slice(2).split('/').map(toIdentifier)].join('.'),
+  ]))
+}
+
+/**
+ * Everything besides source contents that can change a build's output: the build options,
+ * what package.json feeds into defines, banners and externals, the resolved tsconfig, and
+ * the versions of itty and TypeScript.
+ */
+async function cacheKey(options, pkg) {
+  const itty = await fs.readJSON(new URL('../package.json', import.meta.url))
 
-    await bundle.close()
+  return {
+    itty: itty.version,
+    typescript: ts.version,
+    options: Object.fromEntries(Object.entries(options).filter(([key]) => !UNCACHED_OPTIONS.includes(key))),
+    package: {
+      dependencies: Object.keys(pkg.dependencies ?? {}),
+      peerDependencies: Object.keys(pkg.peerDependencies ?? {}),
+    },
+    tsconfig: projectConfig().options,
   }
+}
+
+// Always minified unless --no-minify - these are meant to be dropped straight into a <script> tag.
+// `extend` lets the root bundle and its sub-entries share one namespace, in any load order.
+function createBrowserBuild(file, globalName, options, tsPlugin) {
+  const { sourcemap, minify, 'global-format': format } = options
+  const plugins = [tsPlugin, definePlugin(options), nodeResolve({ browser: true })]
 
-  // Handle README snippet injection if requested
-  if (snippet) {
-    await injectSnippet(snippet, out)
+  if (minify) {
+    plugins.push(minifier(options))
   }
+  plugins.push(bundleSize())
 
-  console.log(`✨ Build completed: ${files.length} file(s) built to ${out}/`)
+  return {
+    input: file.path,
+    output: {
+      file: file.browser,
+      format,
+      name: globalName,
+      extend: true,
+      sourcemap,
+      banner: minify ? undefined : options.header,
+    },
+    plugins,
+  }
 }
 
-async function injectSnippet(snippetName, outDir) {
-  const snippetPath = path.join(outDir, `${snippetName}.snippet.js`)
+// ESM and browser bundle sizes side by side, one row per output
+function formatBundleSizes(manifest, format) {
+  const rows = Object.entries(manifest.exports).flatMap(([subpath, esm]) => [
+    { export: subpath, format: 'esm', ...esm },
+    ...manifest.browser[subpath] ? [{ export: subpath, format, ...manifest.browser[subpath] }] : [],
+  ])
 
-  if (!await fs.pathExists(snippetPath)) {
-    console.warn(`⚠️  Snippet file not found: ${snippetPath}`)
-    return
+  return formatTable(rows.map(row => ({
+    ...row,
+    ...Object.fromEntries(SIZE_METRICS.map(metric => [metric, formatBytes(row[metric])])),
+  })), ['export', 'format', 'file', ...SIZE_METRICS])
+}
+
+// Rolls up the declarations typescriptProgram() emitted: inlines internal types and drops
+// non-exported internals, writing exactly file.types (plus file.ctypes for hybrid builds)
+function createTypesBuild(file, options, typescript) {
+  const outputs = [{ file: file.types, format: 'esm' }]
+
+  if (options.hybrid) {
+    outputs.push({ file: file.ctypes, format: 'esm', plugins: [exportAssignment()] })
+  }
+
+  return {
+    input: typescript.declarationId(file.path),
+    output: outputs,
+    plugins: [typescript.declarations, dts()],
   }
+}
+
+// Rollup compiles an entry whose only export is the default to `module.exports = ...`,
+// so its .d.cts declares `export =` rather than a default export
+const exportAssignment = () => ({
+  name: 'itty-export-assignment',
+  renderChunk(code, chunk) {
+    if (chunk.exports.length !== 1 || chunk.exports[0] !== 'default') return null
+
+    return code.replace(/^export \{ ([\w$]+) as default \};$/m, 'export = $1;')
+  },
+})
 
-  const transformCode = code => {
-    // Find the exported variable name from the export statement
-    const exportMatch = code.match(/;export\s*{\s*(\w+)(?:\s+as\s+\w+)?\s*};?\s*$/)
-    if (!exportMatch) {
-      // Fallback to original logic if no export found
-      return code
-        .replace(/^let\s+(\w+)\s*=/, `let ${snippetName}=`)
-        .replace(/;export\s*{[^}]+};?\s*$/, ';')
+// Compares against --baseline if given (before it's updated), otherwise the last published version
+async function reportComparison(manifest, { baseline, registry, 'update-baseline': updateBaseline }) {
+  let previous
+  let label
+
+  if (baseline) {
+    if (updateBaseline && !await fs.pathExists(baseline)) {
+      console.log(`📊 No size baseline at ${baseline} yet - skipping comparison`)
+      return
+    }
+
+    previous = await readManifest(baseline)
+    label = baseline
+  } else {
+    try {
+      previous = await fetchPublishedManifest(manifest.name, { registry })
+      label = `${manifest.name}@${previous.version} (published)`
+    } catch (error) {
+      console.warn(`⚠️  Could not fetch published ${manifest.name} for size comparison: ${error.message.split('\n')[0]}`)
+      return
     }
+  }
 
-    const exportedVar = exportMatch[1]
+  console.log(`\n📊 Size comparison vs ${label}:\n${formatComparison(compareManifests(manifest, previous))}\n`)
+}
 
-    // Check if this is a function declaration
-    const functionDeclRegex = new RegExp(`function\\s+${exportedVar}\\s*\\(`)
-    if (functionDeclRegex.test(code)) {
-      // Replace function name and strip export
-      return code
-        .replace(functionDeclRegex, `function ${snippetName}(`)
-        .replace(/;export\s*{[^}]+};?\s*$/, ';')
+/**
+ * Writes the metafile (and with --treemap, an HTML view of it): per export, the modules
+ * it bundles, and which modules end up copied into several exports.
+ */
+async function reportComposition(files, chunks, manifest, { out, treemap }) {
+  const entries = Object.fromEntries(files.map(file => [file.shortPath, {
+    source: file.path.slice(2),
+    ...manifest.exports[file.shortPath],
+    ...chunks.get(file.name),
+  }]))
+
+  const metafile = { name: manifest.name, version: manifest.version, entries, shared: sharedModules(entries) }
+  await writeMetafile(out, metafile)
+  console.log(`🧾 Metafile written to ${path.join(out, METAFILE)}`)
+
+  if (metafile.shared.length) {
+    console.log(`🔁 Bundled into several exports:\n${formatTable(metafile.shared.map(shared => ({
+      module: shared.path,
+      rendered: formatBytes(shared.bytes),
+      exports: shared.entries.join(', '),
+    })), ['module', 'rendered', 'exports'])}`)
+  }
+
+  if (treemap) {
+    await writeTreemap(out, metafile)
+    console.log(`🗺️  Treemap written to ${path.join(out, TREEMAP)}`)
+  }
+}
+
+/**
+ * --treeshake: bundles each named export of each entry on its own, as a consumer's
+ * `import { name } from 'my-lib/entry'` would be - with the build's own plugins, externals
+ * and terser settings - to see what it costs. A bare `import 'my-lib/entry'` is bundled
+ * too: whatever survives that is a side effect, which every importer pays for. Each export
+ * is also bundled ignoring side effects, keeping only the code it references, to find what
+ * it pulls in without using.
+ */
+async function analyzeTreeshaking(files, options, tsPlugin) {
+  const { plugins, external } = createBuild(files[0], files, { ...options, minify: false, copy: undefined }, tsPlugin)
+  const buildPlugins = plugins.filter(plugin => plugin?.name !== 'rollup-plugin-bundle-size')
+  const minify = minifier({ target: options.target })
+
+  const bundle = async (code, { needed } = {}) => {
+    const consumer = await rollup({
+      input: CONSUMER,
+      external,
+      plugins: [consumerPlugin(code), ...buildPlugins],
+      // Modules are only kept for the bindings used from them
+      ...needed && { treeshake: { moduleSideEffects: false } },
+      // A consumer that uses nothing is meant to come out empty
+      onwarn: (warning, warn) => warning.code !== 'EMPTY_BUNDLE' && warn(warning),
+    })
+
+    try {
+      const { output: [plain] } = await consumer.generate({ format: 'esm' })
+      const { output: [minified] } = await consumer.generate({ format: 'esm', plugins: [minify] })
+      return { plain, minified }
+    } finally {
+      await consumer.close()
+    }
+  }
+
+  const results = []
+
+  for (const file of files) {
+    const source = path.resolve(file.path)
+    const bare = await bundle(bareImport(source))
+
+    // The entry's own export names, default included
+    const entry = await rollup({ input: source, external, plugins: buildPlugins })
+    const { output: [chunk] } = await entry.generate({ format: 'esm' }).finally(() => entry.close())
+
+    const exports = []
+    for (const name of chunk.exports) {
+      const { plain, minified } = await bundle(namedImport(source, name))
+      const { plain: needed } = await bundle(namedImport(source, name), { needed: true })
+      exports.push({ name, ...measure(minified.code), modules: renderedModules(plain), needs: renderedModules(needed) })
     }
 
-    // Find the final assignment to the exported variable (usually at module level)
-    // Look for patterns like "exportedVar=someFunction()" at the end before export
-    const finalAssignmentRegex = new RegExp(`(\\b${exportedVar}\\s*=\\s*[^;]+);export`)
-    const assignmentMatch = code.match(finalAssignmentRegex)
+    results.push({
+      file,
+      exports,
+      unused: unusedModules(exports),
+      sideEffects: sideEffectModules(bare.plain),
+      sideEffectBytes: measure(bare.minified.code.trim()).raw,
+    })
+  }
+
+  return results
+}
+
+function reportTreeshaking(results) {
+  console.log(`\n🌳 Each export imported on its own:\n${formatTable(results.flatMap(({ file, exports, sideEffectBytes }) =>
+    exports.map(({ name, ...size }) => ({
+      entry: file.shortPath,
+      export: name,
+      ...Object.fromEntries(SIZE_METRICS.map(metric => [metric, formatBytes(size[metric])])),
+      'side effects': sideEffectBytes ? formatBytes(sideEffectBytes) : '',
+    }))), ['entry', 'export', ...SIZE_METRICS, 'side effects'])}\n`)
+
+  const unused = results.flatMap(({ file, unused }) => unused.map(row => ({
+    entry: file.shortPath,
+    export: row.export,
+    module: row.module,
+    rendered: formatBytes(row.bytes),
+    'used by': row.usedBy.join(', '),
+  })))
+
+  if (unused.length) {
+    console.warn(`⚠️  Exports that pull in other exports' code without using it (kept by that code's side effects):\n${formatTable(
+      unused,
+      ['entry', 'export', 'module', 'rendered', 'used by'],
+    )}\n`)
+  }
+
+  const blocking = results.filter(({ sideEffects }) => sideEffects.length)
+  if (!blocking.length) {
+    console.log('🌳 No side effects - importing one export leaves the rest out')
+    return
+  }
+
+  // Not a failure - some entries exist for their side effects (polyfills, registration)
+  console.warn(`⚠️  Side effects kept in every bundle that imports these entries, even when nothing is used:\n${formatTable(
+    blocking.flatMap(({ file, sideEffects }) => sideEffects.map(module => ({
+      entry: file.shortPath,
+      module: module.path,
+      rendered: formatBytes(module.bytes),
+      code: module.code,
+    }))),
+    ['entry', 'module', 'rendered', 'code'],
+  )}\n`)
+}
+
+/**
+ * --side-effects: "sideEffects": false when no entry has any, otherwise the outputs of the
+ * entries that do (and shared chunks, which may hold that code), so bundlers can drop the rest.
+ */
+async function writeSideEffects(results, options) {
+  const toExportPath = exportPathFor(options)
+  const affected = results.filter(({ sideEffects }) => sideEffects.length).map(({ file }) => file)
+
+  const sideEffects = !affected.length ? false : [
+    ...affected.flatMap(file => [
+      file.esm,
+      ...options.hybrid ? [file.cjs] : [],
+      ...Object.values(file.targets).flatMap(({ esm, cjs }) => options.hybrid ? [esm, cjs] : [esm]),
+    ]).map(toExportPath),
+    ...options.chunks ? [toExportPath(path.join(options.out, 'chunks', '*'))] : [],
+  ]
+
+  const pkg = await fs.readJSON('./package.json')
+  pkg.sideEffects = sideEffects
+  await fs.writeJSON('./package.json', pkg, { spaces: 2 })
+  console.log(`📝 package.json sideEffects set to ${JSON.stringify(sideEffects)}`)
+}
+
+/**
+ * --api: compares the exported surface, read from the built declarations, with the committed
+ * snapshot - any difference fails the build until it's accepted with --update-api. A missing
+ * snapshot is written rather than compared.
+ */
+async function enforceApi({ api: file, 'update-api': update, out, 'release-from': releaseFrom }) {
+  const current = await extractApi(process.cwd(), { root: releaseFrom ?? out })
+
+  if (update || !await fs.pathExists(file)) {
+    await writeApi(file, current)
+    console.log(`📌 API snapshot written to ${file}`)
+    return
+  }
+
+  const changes = compareApi(await readApi(file), current)
+  if (!changes.length) {
+    console.log(`🧩 API matches ${file}`)
+    return
+  }
+
+  console.log(`\n🧩 API differs from ${file}:\n${formatApiChanges(changes)}\n`)
+  throw new Error(`API changed (needs a ${requiredBump(changes)} release) - rebuild with --update-api to accept it`)
+}
+
+/**
+ * Fails the build if any output uses syntax newer than its --target - JS sources and
+ * bundled dependencies aren't downleveled by TypeScript, so they can slip past it.
+ */
+async function enforceTargets(files, targets, { out, hybrid, globals }) {
+  // Nothing is newer than esnext
+  const checks = targets.map((target, i) => {
+    const dir = i === 0 ? out : path.join(out, target)
 
-    if (assignmentMatch) {
-      // Replace the final assignment
-      const oldAssignment = assignmentMatch[1]
-      const newAssignment = oldAssignment.replace(new RegExp(`\\b${exportedVar}\\s*=`), `${snippetName}=`)
-      return code
-        .replace(oldAssignment, newAssignment)
-        .replace(/;export\s*{[^}]+};?\s*$/, ';')
+    return {
+      target,
+      outputs: [
+        ...files.flatMap(file => {
+          const { esm, cjs } = i === 0 ? file : file.targets[target]
+          return [
+            { file: esm, module: true },
+            ...hybrid ? [{ file: cjs, module: false }] : [],
+            ...i === 0 && globals.has(file.name) ? [{ file: file.browser, module: false }] : [],
+          ]
+        }),
+        // Shared chunks from --chunks
+        ...globbySync('chunks/**/*.{mjs,js}', { cwd: dir }).map(chunk => ({
+          file: path.join(dir, chunk),
+          module: chunk.endsWith('.mjs'),
+        })),
+      ],
     }
+  }).filter(({ target }) => target && target !== 'esnext')
+  if (!checks.length) return
 
-    // If no final assignment found, fall back to first declaration replacement
-    return code
-      .replace(/^let\s+(\w+)\s*=/, `let ${snippetName}=`)
-      .replace(/;export\s*{[^}]+};?\s*$/, ';')
+  const violations = []
+  for (const { target, outputs } of checks) {
+    violations.push(...(await checkSyntax(outputs, target)).map(violation => ({ ...violation, target })))
   }
 
-  const snippet = await fs.readFile(snippetPath, 'utf-8')
-  const transformed = transformCode(snippet).trim()
+  if (violations.length) {
+    console.error(`\n🚨 Syntax newer than --target:\n${formatTable(violations, ['file', 'target', 'position', 'near'])}\n`)
+    throw new Error(`${violations.length} file(s) use syntax newer than their --target`)
+  }
+
+  console.log(`🎯 All outputs parse as ${checks.map(({ target }) => target).join(', ')}`)
+}
 
-  // Remove snippet file
-  await fs.unlink(snippetPath)
+async function enforceBudgets(sizes, budgets, snippetCode, snippetBudget) {
+  const hasSnippetBudget = Object.keys(snippetCode).length > 0 && Object.keys(snippetBudget).length > 0
+  if (!Object.keys(budgets).length && !hasSnippetBudget) return
 
-  // Update README if it exists
-  const readmePath = './README.md'
-  if (await fs.pathExists(readmePath)) {
-    const readme = await fs.readFile(readmePath, 'utf-8')
+  const violations = checkBudgets(sizes, budgets)
 
-    // Replace everything between the comment tags with properly formatted code block
-    const newReadme = readme.replace(
-      /<!-- BEGIN SNIPPET -->.*?<!-- END SNIPPET -->/s,
-      `<!-- BEGIN SNIPPET -->\n\`\`\`ts\n${transformed}\n\`\`\`\n<!-- END SNIPPET -->`
-    )
+  // Snippets are measured as injected into the README, not as built
+  if (hasSnippetBudget) {
+    const snippetSizes = Object.fromEntries(Object.entries(snippetCode).map(([name, code]) => [`${name} (snippet)`, measure(code)]))
+    violations.push(...checkBudgets(snippetSizes, { '*': snippetBudget }))
+  }
 
-    await fs.writeFile(readmePath, newReadme)
-    console.log(`📝 README.md updated with ${snippetName} snippet`)
+  if (violations.length) {
+    console.error(`\n🚨 Size budget exceeded:\n${formatViolations(violations)}\n`)
+    throw new Error(`${violations.length} size budget(s) exceeded`)
   }
-}
\ No newline at end of file
+
+  console.log('📏 All entries within size budgets')
+}
@@ -0,0 +1,79 @@
+import fs from 'fs-extra'
+import { createHash } from 'node:crypto'
+import path from 'node:path'
+
+export const CACHE_DIR = path.join('node_modules', '.cache', 'itty')
+
+// Bump when the record format changes, so older records are ignored rather than misread
+const CACHE_VERSION = 1
+
+const hash = value => createHash('sha256').update(value).digest('hex').slice(0, 16)
+
+const toRelative = file => path.relative(process.cwd(), file).split(path.sep).join('/')
+
+/**
+ * A project's build cache, with one slot per build (e.g. "index", "index (types)").
+ * A slot is restored when it was written under the same `key` (options, tsconfig, itty
+ * version...) and every file that build read still has the same content. Records live in
+ * <dir>/<slot>.json, with copies of the outputs in <dir>/<slot>/.
+ */
+export function openCache(key, { dir = CACHE_DIR } = {}) {
+  const cacheKey = hash(JSON.stringify([CACHE_VERSION, key]))
+  const slot = name => path.join(dir, hash(name))
+  const hits = []
+  const misses = []
+
+  const unchanged = async inputs => {
+    for (const [file, contentHash] of Object.entries(inputs)) {
+      if (!await fs.pathExists(file) || hash(await fs.readFile(file)) !== contentHash) return false
+    }
+    return true
+  }
+
+  return {
+    // Copies a slot's outputs back into place, resolving to its record - or undefined on a miss.
+    // `name` is what the summary reports, `slotName` the record it's stored under (default: `name`).
+    async restore(name, slotName = name) {
+      const record = await fs.readJSON(`${slot(slotName)}.json`).catch(() => undefined)
+
+      if (record?.key !== cacheKey || !await unchanged(record.inputs)) {
+        misses.push(name)
+        return undefined
+      }
+
+      for (const [i, output] of record.outputs.entries()) {
+        await fs.copy(path.join(slot(slotName), String(i)), output)
+      }
+
+      hits.push(name)
+      return record
+    },
+
+    // `inputs` are every file the build read (Rollup's watchFiles), `outputs` every file it wrote
+    async save(name, { inputs, outputs, ...extra }) {
+      try {
+        const files = inputs.filter(file => !file.startsWith('\0') && fs.pathExistsSync(file))
+        const record = {
+          key: cacheKey,
+          inputs: Object.fromEntries(await Promise.all(files.map(async file => [toRelative(file), hash(await fs.readFile(file))]))),
+          outputs: outputs.map(toRelative),
+          ...extra,
+        }
+
+        await fs.emptyDir(slot(name))
+        for (const [i, output] of outputs.entries()) {
+          await fs.copy(output, path.join(slot(name), String(i)))
+        }
+        await fs.writeJSON(`${slot(name)}.json`, record)
+      } catch (error) {
+        // A cache that can't be written just means a slower next build
+        console.warn(`⚠️  Couldn't cache ${name}: ${error.message}`)
+      }
+    },
+
+    summary() {
+      const rebuilt = hits.length && misses.length ? ` - rebuilt ${misses.join(', ')}` : ''
+      return `🗄️  Cache: ${hits.length} hit(s), ${misses.length} miss(es)${rebuilt}`
+    },
+  }
+}
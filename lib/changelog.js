@@ -0,0 +1,68 @@
+import fs from 'fs-extra'
+import { execFile } from 'node:child_process'
+import { promisify } from 'node:util'
+
+const exec = promisify(execFile)
+
+export const CHANGELOG = 'CHANGELOG.md'
+
+const HEADING = '# CHANGELOG'
+
+// Each commit is listed under the first group it matches
+const GROUPS = [
+  ['Breaking Changes', commit => commit.breaking],
+  ['Features', commit => commit.type === 'feat'],
+  ['Fixes', commit => commit.type === 'fix'],
+  ['Performance', commit => commit.type === 'perf'],
+  // Anything else keeps its whole subject, since the group doesn't say what type it was
+  ['Other Changes', () => true, commit => commit.subject],
+]
+
+const describe = ({ scope, description }) => `${scope ? `**${scope}:** ` : ''}${description}`
+
+// Commits made by `itty release` itself aren't changes
+const isReleaseCommit = commit => /^released v\d/.test(commit.subject)
+
+/**
+ * The web URL of the `origin` remote, for linking commits and tags - undefined without one.
+ * git@github.com:kwhitley/itty-router.git → https://github.com/kwhitley/itty-router
+ */
+export async function remoteUrl(cwd) {
+  const remote = await exec('git', ['remote', 'get-url', 'origin'], { cwd })
+    .then(({ stdout }) => stdout.trim())
+    .catch(() => '')
+
+  const [, host, repo] = remote.match(/^(?:git@|(?:ssh|git|https?):\/\/(?:[^@/]+@)?)([^:/]+)(?::\d+)?[:/](.+?)(?:\.git)?\/?$/) ?? []
+  return host && `https://${host}/${repo}`
+}
+
+/**
+ * The CHANGELOG.md section for `version`: its heading (linked to the diff since `previousTag`),
+ * the release's commit message `notes` if any, and `commits` grouped by type, each linked to
+ * its commit when `url` is known.
+ */
+export function changelogSection({ version, previousTag, commits, notes, url }) {
+  const link = (text, href) => url ? `[${text}](${url}/${href})` : text
+  const heading = `### ${link(version, previousTag ? `compare/${previousTag}...v${version}` : `tree/v${version}`)}`
+
+  const listed = new Set(commits.filter(isReleaseCommit))
+  const groups = GROUPS.map(([title, matches, text = describe]) => {
+    const entries = commits.filter(commit => !listed.has(commit) && matches(commit))
+    for (const entry of entries) listed.add(entry)
+
+    return entries.length && [
+      `#### ${title}`,
+      ...entries.map(commit => `- ${text(commit)} (${link(commit.hash, `commit/${commit.hash}`)})`),
+    ].join('\n')
+  }).filter(Boolean)
+
+  return [heading, notes, ...groups].filter(Boolean).join('\n\n') + '\n'
+}
+
+// Adds `section` to the top of the changelog in `file`, below its heading - creating it if needed
+export async function prependChangelog(file, section) {
+  const existing = await fs.readFile(file, 'utf8').catch(() => '')
+  const body = existing.startsWith(HEADING) ? existing.slice(HEADING.length).trimStart() : existing
+
+  await fs.writeFile(file, `${HEADING}\n\n${section}${body ? `\n${body}` : ''}`)
+}
@@ -0,0 +1,262 @@
+import fs from 'fs-extra'
+import { execFile } from 'node:child_process'
+import path from 'node:path'
+import { promisify } from 'node:util'
+import ts from 'typescript'
+import { CACHE_DIR } from './cache.js'
+import { METAFILE, TREEMAP } from './metafile.js'
+import { SIZE_MANIFEST, findRoot, formatTable, packageExports, resolveExportFile } from './sizes.js'
+
+const exec = promisify(execFile)
+
+// The package is installed here for the import and types checks: inside the project's own
+// node_modules, so its dependencies resolve from there just as they would for a consumer
+const CHECK_DIR = path.join(CACHE_DIR, 'check')
+
+// Conditions Node matches for import() - a subpath exported only under e.g. "browser" isn't for Node
+const ESM_CONDITIONS = ['import', 'node', 'default']
+
+// Top-level fields that point at files, for tools that predate "exports"
+const FILE_FIELDS = ['main', 'module', 'types', 'typings', 'unpkg', 'jsdelivr']
+
+// How a TypeScript consumer might resolve the package, and whether they import or require it
+const RESOLUTIONS = [
+  { name: 'node16 (import)', moduleResolution: ts.ModuleResolutionKind.Node16, module: ts.ModuleKind.Node16, mode: ts.ModuleKind.ESNext },
+  { name: 'node16 (require)', moduleResolution: ts.ModuleResolutionKind.Node16, module: ts.ModuleKind.Node16, mode: ts.ModuleKind.CommonJS, hybrid: true },
+  { name: 'bundler', moduleResolution: ts.ModuleResolutionKind.Bundler, module: ts.ModuleKind.ESNext, mode: ts.ModuleKind.ESNext },
+  { name: 'node10', moduleResolution: ts.ModuleResolutionKind.Node10, module: ts.ModuleKind.CommonJS },
+]
+
+// Every file an exports value points to, with the conditions leading there, e.g. ['import', 'types']
+const conditionTargets = (value, conditions = []) => typeof value === 'string' ? [{ conditions, target: value }]
+  : Array.isArray(value) ? value.flatMap(item => conditionTargets(item, conditions))
+  : value && typeof value === 'object'
+    ? Object.entries(value).flatMap(([condition, item]) => conditionTargets(item, [...conditions, condition]))
+  : []
+
+const isJavaScript = file => /\.[cm]?js$/.test(file)
+
+/**
+ * Checks an already-built package the way a consumer would use it, resolving to
+ * { name, version, root, exports, problems }. Export targets are resolved against each of
+ * `roots` (relative to `dir`) in turn - the first that holds the package is the release dir.
+ * Each problem is { check, export, problem }.
+ */
+export async function checkPackage(dir, { roots = ['.'] } = {}) {
+  const pkg = await fs.readJSON(path.join(dir, 'package.json'))
+  if (!pkg.name) {
+    throw new Error('package.json has no "name" - itty check imports the package by name')
+  }
+
+  const specifier = subpath => subpath === '.' ? pkg.name : `${pkg.name}/${subpath.slice(2)}`
+
+  // Patterns ("./*") can't be imported as-is, so only their targets' existence is checked
+  const exports = Object.entries(packageExports(pkg)).map(([subpath, value]) => ({
+    subpath,
+    value,
+    specifier: specifier(subpath),
+    targets: conditionTargets(value),
+  }))
+
+  const main = exports.map(({ value }) => resolveExportFile(value)).find(file => file && !file.includes('*'))
+  const root = main && await findRoot(roots.map(root => path.join(dir, root)), main) || path.join(dir, roots[0])
+  const isProjectRoot = path.resolve(root) === path.resolve(dir)
+
+  const problems = [
+    ...fieldProblems(pkg, { isProjectRoot }),
+    ...await targetProblems(pkg, exports, root),
+  ]
+
+  // Entries with a missing target would only repeat that problem as a failed import
+  const broken = new Set(problems.filter(problem => problem.check === 'targets').map(problem => problem.export))
+  const entries = exports.filter(entry => !entry.subpath.includes('*') && !broken.has(entry.specifier))
+
+  const esm = entries.filter(({ targets }) => targets.some(({ conditions, target }) =>
+    isJavaScript(target) && conditions.every(condition => ESM_CONDITIONS.includes(condition))))
+  const cjs = entries.filter(({ targets }) => targets.some(({ conditions, target }) =>
+    isJavaScript(target) && conditions.includes('require')))
+  const typed = pkg.types || pkg.typings || exports.some(({ targets }) =>
+    targets.some(({ conditions }) => conditions.includes('types')))
+
+  const installed = await installPackage(pkg, root, dir)
+
+  try {
+    const loaded = {}
+
+    for (const [check, group] of [['esm', esm], ['cjs', cjs]]) {
+      if (!group.length) continue
+
+      const { failures, names } = await loadInNode(group.map(entry => entry.specifier), check, installed)
+      for (const [failed, error] of Object.entries(failures)) {
+        problems.push({ check, export: failed, problem: error })
+      }
+      loaded[check] = names
+    }
+
+    // A require() that "works" but comes back without the exports is just as broken,
+    // e.g. CommonJS output in a .js file that "type": "module" makes Node read as ESM
+    for (const [required, names] of Object.entries(loaded.cjs ?? {})) {
+      const missing = (loaded.esm?.[required] ?? []).filter(name => !names.includes(name))
+      if (missing.length) {
+        problems.push({ check: 'cjs', export: required, problem: `require() is missing exports: ${missing.join(', ')}` })
+      }
+    }
+
+    if (typed) {
+      problems.push(...typesProblems(esm, cjs, installed))
+    }
+  } finally {
+    await fs.remove(path.join(dir, CHECK_DIR))
+  }
+
+  return {
+    name: pkg.name,
+    version: pkg.version,
+    root: path.relative(dir, root) || '.',
+    exports: entries.length,
+    checks: [
+      esm.length && 'ESM imports',
+      cjs.length && 'CJS requires',
+      typed && 'types under node16, bundler and node10',
+    ].filter(Boolean),
+    problems,
+  }
+}
+
+// Prints the result of checkPackage(), throwing if it found any problems
+export function reportCheck({ name, version, exports, checks, problems }) {
+  if (problems.length) {
+    console.log(`\n🚨 ${name} v${version} has problems:\n${formatTable(problems, ['check', 'export', 'problem'])}\n`)
+    throw new Error(`Package check failed: ${problems.length} problem(s)`)
+  }
+
+  console.log(`✅ ${name} v${version} checks out: ${exports} export(s), ${['targets', ...checks].join(', ')}`)
+}
+
+function fieldProblems(pkg, { isProjectRoot }) {
+  return [
+    pkg.exports === undefined && 'No "exports" field, so every file in the package can be imported',
+    pkg.type === undefined && 'No "type" field, so Node reads .js files as CommonJS',
+    pkg.sideEffects === undefined && 'No "sideEffects" field, so bundlers can\'t drop unused modules (itty build --side-effects writes one)',
+    // Releasing from the output dir publishes just that dir - from the project root, "files" decides
+    isProjectRoot && pkg.files === undefined && 'No "files" field, so the whole project is published',
+  ].filter(Boolean).map(problem => ({ check: 'fields', export: pkg.name, problem }))
+}
+
+// Release and installPackage() both write package.json next to the outputs, so it's always published
+const PUBLISHED = ['./package.json']
+
+async function targetProblems(pkg, exports, root) {
+  const problems = []
+
+  for (const { subpath, specifier, targets } of exports) {
+    for (const { conditions, target } of targets) {
+      const label = [`exports["${subpath}"]`, ...conditions].join('.')
+
+      if (!target.startsWith('./')) {
+        problems.push({ check: 'targets', export: specifier, problem: `${label} is "${target}" - targets must start with "./"` })
+      } else if (!target.includes('*') && !PUBLISHED.includes(target) && !await fs.pathExists(path.join(root, target))) {
+        problems.push({ check: 'targets', export: specifier, problem: `${label} → ${target} doesn't exist` })
+      }
+    }
+  }
+
+  for (const field of FILE_FIELDS.filter(field => typeof pkg[field] === 'string')) {
+    if (!await fs.pathExists(path.join(root, pkg[field]))) {
+      problems.push({ check: 'targets', export: pkg.name, problem: `"${field}" → ${pkg[field]} doesn't exist` })
+    }
+  }
+
+  return problems
+}
+
+/**
+ * Installs the package into CHECK_DIR/node_modules as `itty release` would publish it, resolving
+ * to the dir consumers import from. The output dir is copied along with package.json; a package
+ * released from the project root is linked instead.
+ */
+async function installPackage(pkg, root, dir) {
+  const consumer = path.join(dir, CHECK_DIR)
+  const installed = path.join(consumer, 'node_modules', pkg.name)
+
+  await fs.emptyDir(consumer)
+
+  if (path.resolve(root) === path.resolve(dir)) {
+    await fs.ensureSymlink(path.resolve(dir), installed, 'dir')
+  } else {
+    await fs.copy(root, installed, {
+      filter: src => ![SIZE_MANIFEST, METAFILE, TREEMAP].includes(path.basename(src)),
+    })
+    await fs.writeJSON(path.join(installed, 'package.json'), pkg, { spaces: 2 })
+  }
+
+  return consumer
+}
+
+/**
+ * Imports (esm) or requires (cjs) each specifier in a fresh Node process, from `cwd`, resolving
+ * to { failures, names }: the error message per specifier that failed, and the export names
+ * per specifier that loaded.
+ */
+async function loadInNode(specifiers, check, cwd) {
+  // As Node's import() of CommonJS sees it, module.exports is the default export unless
+  // __esModule says otherwise - but an empty exports object means nothing was exported at all
+  const exported = check === 'esm' ? 'Object.keys(await import(specifier))' : 'requiredNames(require(specifier))'
+  const script = `
+    const requiredNames = value => {
+      const names = Object.keys(Object(value))
+      const empty = typeof value === 'object' && value !== null && !names.length
+      return 'default' in Object(value) || value?.__esModule || empty ? names : [...names, 'default']
+    }
+    const failures = {}
+    const names = {}
+    for (const specifier of JSON.parse(process.argv[1])) {
+      try {
+        names[specifier] = ${exported}
+      } catch (error) {
+        failures[specifier] = String(error?.message ?? error).split('\\n')[0]
+      }
+    }
+    console.log(JSON.stringify({ failures, names }))
+  `
+  const args = [...check === 'esm' ? ['--input-type=module'] : [], '-e', script, JSON.stringify(specifiers)]
+
+  try {
+    const { stdout } = await exec('node', args, { cwd, timeout: 30000 })
+
+    // Entries may log on import, so the report is the last line
+    return JSON.parse(stdout.trim().split('\n').pop())
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error('itty check imports entries with Node.js, but "node" was not found on the PATH')
+    }
+
+    // The process died before reporting (e.g. an entry called process.exit), so no entry is known good
+    const reason = error.killed ? 'timed out after 30s' : error.stderr?.trim().split('\n').pop() || error.message
+    return {
+      failures: Object.fromEntries(specifiers.map(specifier => [specifier, `node exited: ${reason}`])),
+      names: {},
+    }
+  }
+}
+
+// Resolves each entry's declarations as a TypeScript consumer in `cwd` would, under each RESOLUTIONS mode
+function typesProblems(esm, cjs, cwd) {
+  const consumer = path.join(cwd, 'index.ts')
+  const problems = []
+
+  for (const { name, moduleResolution, module, mode, hybrid } of RESOLUTIONS) {
+    for (const { specifier } of hybrid ? cjs : esm) {
+      const { resolvedModule } = ts.resolveModuleName(specifier, consumer, { moduleResolution, module }, ts.sys, undefined, undefined, mode)
+
+      if (!resolvedModule) {
+        problems.push({ check: 'types', export: specifier, problem: `No declarations found under ${name}` })
+      } else if (!resolvedModule.extension.startsWith('.d.')) {
+        const file = path.relative(cwd, resolvedModule.resolvedFileName).split(path.sep).join('/')
+        problems.push({ check: 'types', export: specifier, problem: `Resolves to ${file}, not a declaration file, under ${name}` })
+      }
+    }
+  }
+
+  return problems
+}
@@ -1,9 +1,10 @@
-import { parseArgs } from 'node:util'
-import { build } from '../builder.js'
+import { build, watch } from '../builder.js'
+import { parseCommandArgs } from '../config.js'
 
 export async function buildCommand(args) {
-  const { values: buildArgs } = parseArgs({
+  const { values: buildArgs } = await parseCommandArgs('build', {
     args,
+    exclusive: [['minify', 'no-minify'], ['cache', 'no-cache']],
     options: {
       from: {
         type: 'string',
@@ -17,6 +18,36 @@ export async function buildCommand(args) {
         default: 'dist',
         description: 'Output directory (default: dist)'
       },
+      pattern: {
+        type: 'string',
+        short: 'p',
+        description: 'Entry glob relative to the source directory (default: *)'
+      },
+      extensions: {
+        type: 'string',
+        short: 'e',
+        description: 'Entry file extensions (comma-separated, default: ts,mts,tsx,js,jsx)'
+      },
+      ignore: {
+        type: 'string',
+        multiple: true,
+        description: 'Extra globs (relative to --from) that are never entries (repeatable or comma-separated)'
+      },
+      'no-default-ignore': {
+        type: 'boolean',
+        description: 'Replace the default ignore globs with --ignore'
+      },
+      bundle: {
+        type: 'string',
+        multiple: true,
+        description: 'Dependencies to bundle instead of leaving external (repeatable or comma-separated)'
+      },
+      entries: {
+        type: 'string',
+        multiple: true,
+        object: true,
+        description: 'Explicit entries as subpath=file, e.g. ./utils=src/lib/utils.ts (skips --pattern)'
+      },
       copy: {
         type: 'string',
         short: 'c',
@@ -38,14 +69,126 @@ export async function buildCommand(args) {
         type: 'boolean',
         description: 'Skip minification'
       },
+      target: {
+        type: 'string',
+        short: 't',
+        description: 'JavaScript syntax level to emit, e.g. es2018 (comma-separated for one folder per extra target)'
+      },
+      define: {
+        type: 'string',
+        multiple: true,
+        object: true,
+        description: 'Replace a global with a JavaScript expression at build time, as KEY=value (repeatable)'
+      },
+      banner: {
+        type: 'string',
+        description: 'Comment prepended to every output, e.g. "{name} v{version} | {license}"'
+      },
       'release-from': {
         type: 'string',
         description: 'Release directory - exports are relative to this (default: same as --out)'
       },
+      'legacy-fields': {
+        type: 'boolean',
+        description: 'Also keep top-level main/module/types in sync with the root export'
+      },
+      global: {
+        type: 'string',
+        short: 'g',
+        description: 'Also build browser bundles exposing this global, e.g. ittyRouter'
+      },
+      'global-format': {
+        type: 'string',
+        description: 'Browser bundle format: iife or umd (default: iife)'
+      },
+      'global-entry': {
+        type: 'string',
+        description: 'Only build browser bundles for these entries (comma-separated)'
+      },
+      cdn: {
+        type: 'boolean',
+        description: 'Point package.json unpkg/jsdelivr at the root browser bundle'
+      },
       snippet: {
         type: 'string',
         short: 's',
-        description: 'Generate snippet file for README injection'
+        description: 'Inject entries into README snippet markers (comma-separated)'
+      },
+      chunks: {
+        type: 'string',
+        description: 'Build all entries together, splitting shared code into hashed or named chunks'
+      },
+      metafile: {
+        type: 'boolean',
+        description: 'Write <out>/.meta.json, describing the modules bundled into each export'
+      },
+      treemap: {
+        type: 'boolean',
+        description: 'Also write <out>/.meta.html, a treemap of the metafile (implies --metafile)'
+      },
+      treeshake: {
+        type: 'boolean',
+        description: 'Report what each named export costs imported on its own, and side effects that block tree-shaking'
+      },
+      'side-effects': {
+        type: 'boolean',
+        description: 'Write an accurate sideEffects field to package.json (implies --treeshake)'
+      },
+      api: {
+        type: 'string',
+        description: 'Committed API snapshot - the build fails when the exported surface differs from it'
+      },
+      'update-api': {
+        type: 'boolean',
+        description: 'Write the current exported surface to --api'
+      },
+      check: {
+        type: 'boolean',
+        description: 'Verify the built package afterwards, as itty check does'
+      },
+      cache: {
+        type: 'boolean',
+        description: 'Restore unchanged builds from node_modules/.cache/itty (default: true)'
+      },
+      'no-cache': {
+        type: 'boolean',
+        description: 'Rebuild everything, ignoring the cache'
+      },
+      concurrency: {
+        type: 'string',
+        description: 'Number of entries to build at once (default: CPU count, max 8)'
+      },
+      'max-size': {
+        type: 'string',
+        multiple: true,
+        object: true,
+        description: 'Size budget per entry, e.g. index=500b or index:gzip=300b'
+      },
+      'snippet-max-size': {
+        type: 'string',
+        object: true,
+        description: 'Size budget for each README snippet, e.g. 300b or gzip=200b'
+      },
+      compare: {
+        type: 'boolean',
+        description: 'Report size changes per export vs --baseline or the last published version'
+      },
+      baseline: {
+        type: 'string',
+        description: 'Committed size manifest to compare against'
+      },
+      'update-baseline': {
+        type: 'boolean',
+        description: 'Write the new size manifest to --baseline'
+      },
+      registry: {
+        type: 'string',
+        description: 'Registry to fetch the published version from (default: npm config)'
+      },
+      watch: {
+        type: 'boolean',
+        short: 'w',
+        description: 'Rebuild affected entries when source files change'
       },
       help: {
         type: 'boolean',
@@ -65,13 +208,44 @@ Usage: itty build [options]
 Options:
   -f, --from <dir>           Source directory (default: src)
   -o, --out <dir>            Output directory (default: dist)
+  -p, --pattern <glob>       Entry glob relative to --from (default: *, use **/* for nested)
+  -e, --extensions <list>    Entry file extensions (default: ts,mts,tsx,js,jsx)
+      --ignore <globs>       Extra globs (relative to --from) that are never entries (repeatable)
+      --no-default-ignore    Replace the default ignore globs with --ignore
+      --entries <map>        Explicit entries as subpath=file, e.g. ./utils=src/lib/utils.ts
+      --bundle <packages>    Dependencies to bundle instead of leaving external (repeatable)
   -c, --copy <files>         Files to copy to output (comma-separated)
       --sourcemap            Generate source maps (default: false)
       --hybrid               Build both ESM and CJS (default: ESM only)
       --minify               Minify output with terser (default: true)
       --no-minify            Skip minification
+  -t, --target <targets>     Syntax level to emit, e.g. es2018 - extra targets build to <out>/<target>/
+      --define <KEY=value>   Replace a global with a JavaScript expression at build time (repeatable)
+      --banner <text>        Comment prepended to every output, with {name}, {version} and {license}
       --release-from <dir>   Release directory - exports relative to this (default: same as --out)
-  -s, --snippet <name>       Generate snippet file for README injection
+      --legacy-fields        Also keep top-level main/module/types in sync with the root export
+  -g, --global <name>        Also build browser bundles exposing this global, e.g. ittyRouter
+      --global-format <fmt>  Browser bundle format: iife or umd (default: iife)
+      --global-entry <names> Only build browser bundles for these entries (comma-separated)
+      --cdn                  Point package.json unpkg/jsdelivr at the root browser bundle
+  -s, --snippet <names>      Inject entries into README snippet markers (comma-separated)
+      --chunks <naming>      Build entries together, sharing code via <out>/chunks/ (hashed or named)
+      --metafile             Write <out>/.meta.json, describing the modules bundled into each export
+      --treemap              Also write <out>/.meta.html, a treemap of the metafile
+      --treeshake            Report each named export's cost on its own, and side effects that block tree-shaking
+      --side-effects         Write an accurate "sideEffects" field to package.json (implies --treeshake)
+      --api <file>           Committed API snapshot - fail when exported symbols or signatures differ
+      --update-api           Write the current exported surface to --api
+      --check                Verify exports, imports, and types afterwards (see itty check --help)
+      --no-cache             Rebuild everything, ignoring node_modules/.cache/itty
+      --concurrency <n>      Number of entries to build at once (default: CPU count, max 8)
+      --max-size <rule>      Size budget per entry (repeatable), e.g. index=500b, index:gzip=300b, *:brotli=1kb
+      --snippet-max-size <s> Size budget for each README snippet, e.g. 300b or gzip=200b
+      --compare              Report size changes per export vs --baseline or the last published version
+      --baseline <file>      Committed size manifest to compare against (default: compare with npm)
+      --update-baseline      Write the new size manifest to --baseline
+      --registry <url>       Registry to fetch the published version from (default: npm config)
+  -w, --watch                Rebuild affected entries when source files change
   -h, --help                 Show help
 
 Examples:
@@ -80,7 +254,33 @@ Examples:
   itty build --no-minify                  # Build without minification
   itty build --from=lib --out=build       # Build from lib/ to build/
   itty build --snippet=connect            # Build with connect snippet generation
+  itty build --extensions=js              # Plain JS package, declarations from JSDoc
+  itty build --ignore='**/internal/**'    # Keep internal helpers out of the exports
+  itty build --entries=.=src/main.ts,./utils=src/lib/utils.ts   # Skip discovery entirely
+  itty build --snippet=connect,withParams # Fill <!-- BEGIN SNIPPET:connect --> and :withParams markers
+  itty build --global=ittyRouter --cdn    # Add dist/index.iife.js for <script> tags and CDNs
+  itty build --bundle=tslib               # Inline a dependency rather than importing it
+  itty build --define=__DEV__=false       # Replace __DEV__ and drop the dead branches
+  itty build --target=es2018              # Downlevel to ES2018 and fail on anything newer
+  itty build --target=es2018,es2022       # Also build dist/es2022/, exported under an "es2022" condition
+  itty build --banner='{name} v{version} | {license}'   # /*! my-lib v1.2.3 | MIT */ atop each file
+  itty build --pattern='**/*'             # Include nested entries (src/adapters/node.ts → ./adapters/node)
   itty build --release-from=.             # Exports include output dir prefix (for root releasing)
+  itty build --max-size='*:gzip=1kb'      # Fail if any entry exceeds 1kb gzipped
+  itty build --compare                    # Size diff per export vs the last published version
+  itty build --compare --baseline=sizes.json   # Size diff vs a committed baseline
+  itty build --chunks=hashed              # Share helpers between entries instead of copying them
+  itty build --treemap                    # See which modules make up each export in dist/.meta.html
+  itty build --treeshake                  # What does importing just one function cost?
+  itty build --api=api.json               # Fail when the public API changes unexpectedly
+  itty build --api=api.json --update-api  # Accept API changes
+  itty build --hybrid --check             # Fail if require() or any export's types don't work
+  itty build --no-cache                   # Rebuild every entry, even if nothing changed
+  itty build --watch                      # Rebuild on change until stopped with Ctrl+C
+
+Config:
+  Defaults can be set in the "build" section of itty.config.js, itty.config.json,
+  or the "itty" key of package.json. CLI flags override config values.
 `)
     return
   }
@@ -92,6 +292,23 @@ Examples:
     buildArgs.minify = true
   }
 
+  if (buildArgs['no-cache']) {
+    buildArgs.cache = false
+  }
+
+  if (buildArgs.watch) {
+    const watcher = await watch(buildArgs)
+
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+      process.once(signal, async () => {
+        await watcher.close()
+        console.log('\n👋 Stopped watching')
+        process.exit(0)
+      })
+    }
+    return
+  }
+
   try {
     await build(buildArgs)
     console.log('✅ Build completed successfully')
@@ -0,0 +1,52 @@
+import { checkPackage, reportCheck } from '../check.js'
+import { parseCommandArgs } from '../config.js'
+
+export async function checkCommand(args) {
+  const { values: checkArgs } = await parseCommandArgs('check', {
+    args,
+    options: {
+      out: {
+        type: 'string',
+        short: 'o',
+        default: 'dist',
+        description: 'Build output directory (default: dist)'
+      },
+      help: {
+        type: 'boolean',
+        short: 'h',
+        description: 'Show help'
+      }
+    },
+    allowPositionals: false
+  })
+
+  if (checkArgs.help) {
+    console.log(`
+itty check - Verify a built package works the way consumers will use it
+
+Usage: itty check [options]
+
+Options:
+  -o, --out <dir>   Build output directory (default: dist)
+  -h, --help        Show help
+
+Examples:
+  itty check               # Check the package built to dist/
+  itty check --out=build   # Check the package built to build/
+  itty build --check       # Build, then check
+
+Checks:
+- Every file package.json "exports" (and main/module/types) points to exists
+- Every export imports cleanly in a child Node process as ESM, and as CJS for hybrid builds
+- Declarations resolve under node16, bundler, and node10 module resolution
+- package.json has "exports", "type", and "sideEffects" ("files" too, when releasing from the root)
+
+Note:
+- Needs Node.js on the PATH - exports are imported by package name from a copy of the package
+- Export targets are resolved against --out first, then the project root
+`)
+    return
+  }
+
+  reportCheck(await checkPackage(process.cwd(), { roots: [checkArgs.out, '.'] }))
+}
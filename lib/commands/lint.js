@@ -1,14 +1,14 @@
-import { parseArgs } from 'node:util'
 import { spawn } from 'node:child_process'
 import path from 'node:path'
 import { fileURLToPath } from 'node:url'
 import fs from 'fs-extra'
+import { parseCommandArgs } from '../config.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 
 export async function lintCommand(args) {
-  const { values: lintArgs, positionals } = parseArgs({
+  const { values: lintArgs, positionals } = await parseCommandArgs('lint', {
     args,
     options: {
       fix: {
@@ -65,6 +65,7 @@ Note:
 - Local configs (eslint.config.mjs, .eslintrc.*, etc.) will override built-in config
 - To extend built-in config: import { createConfig } from 'itty-packager/lib/configs/createConfig.mjs'
 - Use specific paths to override the default exclusions
+- Defaults can be set in the "lint" section of itty.config.js/.json or package.json "itty"
 `)
     return
   }
@@ -1,12 +1,12 @@
-import { parseArgs } from 'node:util'
 import { spawn } from 'node:child_process'
 import fs from 'fs-extra'
 import path from 'node:path'
-import { build } from '../builder.js'
+import { parseCommandArgs } from '../config.js'
+import { buildCommand } from './build.js'
 import { lintCommand } from './lint.js'
 
 export async function prepareCommand(args) {
-  const { values: prepareArgs } = parseArgs({
+  const { values: prepareArgs } = await parseCommandArgs('prepare', {
     args,
     options: {
       verbose: {
@@ -41,6 +41,8 @@ Note:
 - Uses package.json scripts if available (lint, test), falls back to built-in commands
 - Only shows output when commands fail, unless --verbose is used
 - Stops on first failure
+- Defaults can be set in the "prepare" section of itty.config.js/.json or package.json "itty"
+- The built-in build uses the "build" section of the same config
 `)
     return
   }
@@ -96,7 +98,7 @@ Note:
       const srcExists = await fs.pathExists(path.join(cwd, 'src'))
       if (srcExists) {
         console.log('🔨 Running built-in build...')
-        await build({})
+        await buildCommand([])
         if (!verbose) console.log('✅ Build completed')
       } else {
         console.log('🔨 No build script or src directory found, skipping build')
@@ -1,11 +1,19 @@
-import { parseArgs } from 'node:util'
-import { spawn } from 'node:child_process'
+import { execFile, spawn } from 'node:child_process'
 import fs from 'fs-extra'
 import path from 'node:path'
+import { promisify } from 'node:util'
+import { BUMPS, compareApi, extractApi, formatApiChanges, requiredBump } from '../api.js'
+import { CHANGELOG, changelogSection, prependChangelog, remoteUrl } from '../changelog.js'
+import { commitsSince, formatCommits, inferBump, lastReleaseTag } from '../commits.js'
+import { loadConfig, parseCommandArgs } from '../config.js'
+import { METAFILE, TREEMAP } from '../metafile.js'
+import { SIZE_MANIFEST } from '../sizes.js'
 import { prepareCommand } from './prepare.js'
 
 const SEMVER_TYPES = ['major', 'minor', 'patch']
 
+const exec = promisify(execFile)
+
 function versionBump(currentVersion, type) {
   const parts = currentVersion.split('.').map(Number)
 
@@ -214,6 +222,62 @@ async function promptOtp() {
   })
 }
 
+/**
+ * Compares the API about to be released with the snapshot committed at the last release's tag,
+ * refusing a bump too small for what was removed or narrowed. Before 1.0, breaking changes
+ * only need a minor bump.
+ */
+async function checkApiBump(file, { version, releaseType, sourceDir, rootPath }) {
+  const previous = await exec('git', ['show', `v${version}:./${file}`], { cwd: rootPath })
+    .then(({ stdout }) => JSON.parse(stdout))
+    .catch(() => undefined)
+
+  if (!previous) {
+    console.log(`ℹ️  No ${file} at tag v${version} - skipping the API check`)
+    return
+  }
+
+  const changes = compareApi(previous, await extractApi(rootPath, { root: sourceDir }))
+  if (!changes.length) {
+    console.log(`🧩 No API changes since v${version}`)
+    return
+  }
+
+  const needed = requiredBump(changes)
+  const required = needed === 'major' && version.startsWith('0.') ? 'minor' : needed
+  console.log(`🧩 API changes since v${version}:\n${formatApiChanges(changes)}\n`)
+
+  if (BUMPS.indexOf(releaseType) >= BUMPS.indexOf(required)) return
+
+  if (needed === 'major') {
+    throw new Error(`Exports were removed or narrowed since v${version} - release with --${required} instead of --${releaseType}`)
+  }
+
+  console.warn(`⚠️  New API since v${version} - consider --${required} instead of --${releaseType}`)
+}
+
+/**
+ * Picks the release type from the conventional commits since the last v* tag, printing the
+ * commits that decided it.
+ */
+async function autoReleaseType(version, rootPath) {
+  const tag = await lastReleaseTag(rootPath)
+  const commits = await commitsSince(tag, rootPath)
+  const since = tag ? `since ${tag}` : 'in the history'
+
+  if (!commits.length) {
+    throw new Error(`No commits ${since} - nothing to release`)
+  }
+
+  const { bump, drivers } = inferBump(commits, version)
+  const preMajor = bump === 'minor' && drivers.some(commit => commit.bump === 'major')
+
+  console.log(`🔎 ${commits.length} commit(s) ${since} call for a ${bump} release${preMajor ? ' (breaking changes bump minor before 1.0)' : ''}:`)
+  console.log(`${formatCommits(drivers)}\n`)
+
+  return bump
+}
+
 async function runCommand(command, cwd = process.cwd(), verbose = false) {
   return new Promise((resolve, reject) => {
     const [cmd, ...args] = command.split(' ')
@@ -254,8 +318,9 @@ async function runCommand(command, cwd = process.cwd(), verbose = false) {
 }
 
 export async function releaseCommand(args) {
-  const { values: releaseArgs } = parseArgs({
+  const { values: releaseArgs } = await parseCommandArgs('release', {
     args,
+    exclusive: [['major', 'minor', 'patch', 'type', 'auto'], ['root', 'src']],
     options: {
       major: {
         type: 'boolean',
@@ -273,6 +338,10 @@ export async function releaseCommand(args) {
         type: 'string',
         description: 'Custom release type (alpha, beta, rc, etc.)'
       },
+      auto: {
+        type: 'boolean',
+        description: 'Pick major, minor or patch from conventional commits since the last tag'
+      },
       src: {
         type: 'string',
         default: 'dist',
@@ -315,10 +384,18 @@ export async function releaseCommand(args) {
         type: 'boolean',
         description: 'Do not copy LICENSE file to published package'
       },
+      'no-changelog': {
+        type: 'boolean',
+        description: 'Do not add a section for the release to CHANGELOG.md'
+      },
       prepare: {
         type: 'boolean',
         description: 'Run prepare (lint, test, build) before publishing'
       },
+      api: {
+        type: 'string',
+        description: 'API snapshot to compare with the last release (default: the build config\'s api)'
+      },
       silent: {
         type: 'boolean',
         description: 'Skip interactive prompts (use default commit message)'
@@ -352,6 +429,7 @@ Version Options (default: patch):
       --minor             Minor release #.X.# for feature additions
       --patch             Patch release #.#.X for bug fixes (default)
       --type <type>       Custom release type (alpha, beta, rc, etc.)
+      --auto              Pick major, minor or patch from conventional commits since the last tag
 
 Publish Options:
       --src <dir>         Source directory to publish from (default: dist)
@@ -361,8 +439,10 @@ Publish Options:
       --no-cleanup        Leave temporary directory after publishing
       --public            Publish as public package (--access=public)
       --prepare           Run prepare (lint, test, build) before publishing
+      --api <file>        API snapshot to compare with the last release (default: build config's api)
       --silent            Skip interactive prompts (use default commit message)
       --no-license        Do not copy LICENSE file to published package
+      --no-changelog      Do not add a section for the release to CHANGELOG.md
       --otp               Prompt for a one-time password (OTP) for npm publish
   -v, --verbose           Show detailed output including npm and git command details
 
@@ -380,23 +460,25 @@ Examples:
   itty release                   # Patch version bump and release from dist/ (default)
   itty release --minor --tag     # Minor bump, release, and create git tag
   itty release --type=alpha      # Pre-release alpha version
+  itty release --auto --tag      # Bump by feat:/fix:/BREAKING CHANGE commits since the last tag
   itty release --src=lib         # Release from lib/ instead of dist/
   itty release --root            # Release from root directory
   itty release --dry-run         # Test the release process
+  itty release --api=api.json    # Refuse --patch if exports were removed since the last tag
 
 Note: This command extracts your build artifacts to a temporary directory,
 adds root files (README.md, LICENSE, etc.), and publishes from there.
 This creates a clean, flat package structure in node_modules.
+
+Defaults can be set in the "release" section of itty.config.js/.json or package.json "itty".
+A version flag on the CLI replaces any version flag set in config.
 `)
     return
   }
 
-  // Determine release type (default to patch)
-  const releaseType = releaseArgs.major ? 'major'
-                    : releaseArgs.minor ? 'minor'
-                    : releaseArgs.patch ? 'patch'
-                    : releaseArgs.type ? releaseArgs.type
-                    : 'patch' // Default to patch
+  if (releaseArgs.auto && releaseArgs['no-git']) {
+    throw new Error('--auto reads the git history, so it can\'t be combined with --no-git')
+  }
 
   // Handle --root flag (shorthand for --src=.)
   const sourceDir = releaseArgs.root ? '.' : releaseArgs.src
@@ -416,6 +498,7 @@ This creates a clean, flat package structure in node_modules.
   const shouldPush = releaseArgs.push
   const noGit = releaseArgs['no-git']
   const noLicense = releaseArgs['no-license']
+  const noChangelog = releaseArgs['no-changelog']
   const shouldPrepare = releaseArgs.prepare
   const silent = releaseArgs.silent
   const useOtp = releaseArgs.otp
@@ -425,7 +508,18 @@ This creates a clean, flat package structure in node_modules.
   const pkgPath = path.join(rootPath, 'package.json')
   const originalPkg = await fs.readJSON(pkgPath)
   const originalVersion = originalPkg.version
+
+  // Determine release type (default to patch)
+  const releaseType = releaseArgs.major ? 'major'
+                    : releaseArgs.minor ? 'minor'
+                    : releaseArgs.patch ? 'patch'
+                    : releaseArgs.type ? releaseArgs.type
+                    : releaseArgs.auto ? await autoReleaseType(originalVersion, rootPath)
+                    : 'patch' // Default to patch
+
   const newVersion = versionBump(originalVersion, releaseType)
+  const changelogPath = path.join(rootPath, CHANGELOG)
+  let originalChangelog
 
   try {
     // Run prepare if requested
@@ -441,6 +535,12 @@ This creates a clean, flat package structure in node_modules.
       throw new Error(`Source directory "${sourceDir}" does not exist. Run "itty build" first.`)
     }
 
+    // Breaking API changes need a bigger bump than --patch (compared via the last release's git tag)
+    const apiFile = releaseArgs.api ?? (await loadConfig(rootPath)).config.build?.api
+    if (apiFile && !noGit && SEMVER_TYPES.includes(releaseType)) {
+      await checkApiBump(apiFile, { version: originalVersion, releaseType, sourceDir, rootPath })
+    }
+
     // Verify npm auth before making any changes
     if (!dryRun) {
       console.log(`🔑 Verifying npm auth...`)
@@ -465,6 +565,9 @@ This creates a clean, flat package structure in node_modules.
       // Always exclude node_modules
       if (src.includes('node_modules')) return false
 
+      // Size manifest and metafile are build metadata, not package content
+      if ([SIZE_MANIFEST, METAFILE, TREEMAP].includes(path.basename(src))) return false
+
       // For root publishing, exclude additional files
       if (isRootPublish) {
         const relativePath = path.relative(srcDir, src)
@@ -528,6 +631,32 @@ This creates a clean, flat package structure in node_modules.
       }
     }
 
+    // Changelog section from the commits since the last tag, led by the commit message if one was given
+    const previousTag = !noGit && !noChangelog && await lastReleaseTag(rootPath)
+    const commits = !noGit && !noChangelog && await commitsSince(previousTag, rootPath).catch(error => {
+      console.warn(`⚠️  Skipping ${CHANGELOG}: ${error.message}`)
+    })
+
+    if (commits) {
+      const section = changelogSection({
+        version: newVersion,
+        previousTag,
+        commits,
+        // getCommitMessage() escapes quotes for the shell
+        notes: commitMessage.slice(`released v${newVersion}`.length).replace(/^ - /, '').replace(/\\"/g, '"'),
+        url: await remoteUrl(rootPath),
+      })
+
+      if (dryRun) {
+        console.log(`📝 ${CHANGELOG} section for v${newVersion}:\n\n${section}`)
+      } else {
+        if (verbose) console.log(`📝 Adding v${newVersion} to ${CHANGELOG}`)
+        originalChangelog = await fs.readFile(changelogPath, 'utf8').catch(() => null)
+        await prependChangelog(changelogPath, section)
+        await fs.copy(changelogPath, path.join(tempDir, CHANGELOG))
+      }
+    }
+
     // NPM publish (before git operations so failed publishes don't leave orphaned tags)
     if (dryRun) {
       console.log('🍸 Dry run - skipping publish')
@@ -598,6 +727,11 @@ This creates a clean, flat package structure in node_modules.
       } catch (revertError) {
         console.error(`❌ Failed to revert version: ${revertError.message}`)
       }
+
+      // Drop the section added to CHANGELOG.md, or the file if the release created it
+      if (originalChangelog !== undefined) {
+        await (originalChangelog === null ? fs.remove(changelogPath) : fs.writeFile(changelogPath, originalChangelog))
+      }
     }
 
     // Cleanup on error
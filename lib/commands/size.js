@@ -0,0 +1,109 @@
+import fs from 'fs-extra'
+import path from 'node:path'
+import { parseCommandArgs } from '../config.js'
+import { SIZE_METRICS, formatBytes, formatMarkdownTable, formatTable, measurePackage } from '../sizes.js'
+
+const FORMATS = ['table', 'json', 'markdown']
+
+export async function sizeCommand(args) {
+  const { values: sizeArgs } = await parseCommandArgs('size', {
+    args,
+    options: {
+      out: {
+        type: 'string',
+        short: 'o',
+        default: 'dist',
+        description: 'Build output directory (default: dist)'
+      },
+      format: {
+        type: 'string',
+        short: 'f',
+        default: 'table',
+        description: 'Output format: table, json, or markdown (default: table)'
+      },
+      readme: {
+        type: 'boolean',
+        description: 'Write a markdown size table into README.md between <!-- BEGIN SIZES --> markers'
+      },
+      help: {
+        type: 'boolean',
+        short: 'h',
+        description: 'Show help'
+      }
+    },
+    allowPositionals: false
+  })
+
+  if (sizeArgs.help) {
+    console.log(`
+itty size - Report raw, gzip, and brotli sizes of built exports
+
+Usage: itty size [options]
+
+Options:
+  -o, --out <dir>        Build output directory (default: dist)
+  -f, --format <format>  Output format: table, json, or markdown (default: table)
+      --readme           Write a markdown size table into README.md
+  -h, --help             Show help
+
+Examples:
+  itty size                    # Print a size table for every export
+  itty size --format=json      # Print sizes as JSON
+  itty size --readme           # Update the README size table
+
+Note:
+- Measures the files package.json "exports" point to, without rebuilding
+- Export targets are resolved against --out first, then the project root
+- --readme replaces everything between <!-- BEGIN SIZES --> and <!-- END SIZES -->
+`)
+    return
+  }
+
+  if (!FORMATS.includes(sizeArgs.format)) {
+    throw new Error(`Unknown format "${sizeArgs.format}". Expected one of: ${FORMATS.join(', ')}`)
+  }
+
+  const manifest = await measurePackage(process.cwd(), { roots: [sizeArgs.out, '.'] })
+
+  if (!Object.keys(manifest.exports).length) {
+    throw new Error('No JavaScript exports found in package.json. Run "itty build" first.')
+  }
+
+  // Import specifiers read better than subpaths in a README: "my-lib/utils" rather than "./utils"
+  const rows = Object.entries(manifest.exports).map(([subpath, size]) => ({
+    export: subpath === '.' ? manifest.name : `${manifest.name}/${subpath.slice(2)}`,
+    ...Object.fromEntries(SIZE_METRICS.map(metric => [metric, formatBytes(size[metric])])),
+  }))
+
+  const markdown = formatMarkdownTable(
+    rows.map(row => ({ ...row, export: `\`${row.export}\`` })),
+    ['export', ...SIZE_METRICS],
+    { align: ['left', 'right', 'right', 'right'] },
+  )
+
+  if (sizeArgs.format === 'json') {
+    console.log(JSON.stringify(manifest, null, 2))
+  } else if (sizeArgs.format === 'markdown') {
+    console.log(markdown)
+  } else {
+    console.log(`📏 ${manifest.name} v${manifest.version}\n`)
+    console.log(formatTable(rows, ['export', ...SIZE_METRICS]))
+  }
+
+  if (sizeArgs.readme) {
+    await injectSizes(markdown)
+  }
+}
+
+async function injectSizes(markdown) {
+  const readmePath = path.join(process.cwd(), 'README.md')
+  const markers = /<!-- BEGIN SIZES -->.*?<!-- END SIZES -->/s
+
+  const readme = await fs.pathExists(readmePath) ? await fs.readFile(readmePath, 'utf-8') : ''
+  if (!markers.test(readme)) {
+    throw new Error('README.md has no <!-- BEGIN SIZES --> ... <!-- END SIZES --> section')
+  }
+
+  await fs.writeFile(readmePath, readme.replace(markers, () => `<!-- BEGIN SIZES -->\n${markdown}\n<!-- END SIZES -->`))
+  console.log('📝 README.md updated with size table')
+}
@@ -0,0 +1,73 @@
+import { execFile } from 'node:child_process'
+import { promisify } from 'node:util'
+import { formatTable } from './sizes.js'
+
+const exec = promisify(execFile)
+
+// "feat(router)!: drop node 16" → type, scope, "!" and description
+const HEADER = /^(\w+)(?:\(([^)]*)\))?(!)?:\s*(.+)$/
+
+// Fields and log entries are separated by ASCII unit/record separators, which commit messages don't contain
+const FORMAT = '%h%x1f%B%x1e'
+
+/**
+ * A commit message read as a conventional commit: { hash, subject, type, scope, description,
+ * breaking, bump }. Breaking changes (`type!:` or a `BREAKING CHANGE:` footer) need a major
+ * bump, features a minor one, and everything else - including messages that don't follow the
+ * convention, which have no `type` - a patch.
+ */
+export function parseCommit(hash, message) {
+  const [subject, ...body] = message.trim().split('\n')
+  const [, type, scope, bang, description] = subject.match(HEADER) ?? []
+  const breaking = Boolean(bang) || /^BREAKING[ -]CHANGE:/m.test(body.join('\n'))
+
+  return {
+    hash,
+    subject,
+    type: type?.toLowerCase(),
+    scope,
+    description: description ?? subject,
+    breaking,
+    bump: breaking ? 'major' : type?.toLowerCase() === 'feat' ? 'minor' : 'patch',
+  }
+}
+
+// The most recent v* tag reachable from HEAD - undefined before the first release
+export async function lastReleaseTag(cwd) {
+  return exec('git', ['describe', '--tags', '--abbrev=0', '--match', 'v*'], { cwd })
+    .then(({ stdout }) => stdout.trim() || undefined)
+    .catch(() => undefined)
+}
+
+// Commits since `tag` (or all of them without one), newest first, parsed by parseCommit()
+export async function commitsSince(tag, cwd) {
+  const { stdout } = await exec('git', ['log', '--no-merges', `--format=${FORMAT}`, tag ? `${tag}..HEAD` : 'HEAD'], { cwd })
+    .catch(error => {
+      throw new Error(`Could not read the git history: ${error.stderr?.trim().split('\n').pop() || error.message}`)
+    })
+
+  return stdout.split('\x1e')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => parseCommit(...entry.split('\x1f')))
+}
+
+/**
+ * The bump `commits` call for from `version`, and the commits that called for it. Before 1.0,
+ * breaking changes bump minor, as `^0.x` ranges already treat minor releases as breaking.
+ */
+export function inferBump(commits, version) {
+  const needed = commits.some(commit => commit.bump === 'major') ? 'major'
+    : commits.some(commit => commit.bump === 'minor') ? 'minor'
+    : 'patch'
+
+  return {
+    bump: needed === 'major' && version.startsWith('0.') ? 'minor' : needed,
+    drivers: commits.filter(commit => commit.bump === needed),
+  }
+}
+
+export const formatCommits = commits => formatTable(
+  commits.map(({ hash, bump, subject }) => ({ commit: hash, bump, subject })),
+  ['commit', 'bump', 'subject'],
+)
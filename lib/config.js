@@ -0,0 +1,113 @@
+import { parseArgs } from 'node:util'
+import path from 'node:path'
+import { pathToFileURL } from 'node:url'
+import fs from 'fs-extra'
+
+// Checked in order - the first one found wins, package.json "itty" is the fallback
+export const CONFIG_FILES = ['itty.config.js', 'itty.config.mjs', 'itty.config.json']
+export const CONFIG_SECTIONS = ['build', 'check', 'lint', 'prepare', 'release', 'size']
+
+// releaseFrom -> release-from, dryRun -> dry-run
+const toKebabCase = key => key.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`)
+
+export async function loadConfig(cwd = process.cwd()) {
+  let config
+  let source
+
+  for (const file of CONFIG_FILES) {
+    const configPath = path.join(cwd, file)
+    if (!await fs.pathExists(configPath)) continue
+
+    source = file
+    config = file.endsWith('.json')
+      ? await fs.readJSON(configPath)
+      : (await import(pathToFileURL(configPath).href)).default
+    break
+  }
+
+  if (!source) {
+    const pkgPath = path.join(cwd, 'package.json')
+    const pkg = await fs.pathExists(pkgPath) ? await fs.readJSON(pkgPath) : {}
+    if (pkg.itty === undefined) return { config: {}, source: undefined }
+
+    source = 'package.json "itty"'
+    config = pkg.itty
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Invalid config in ${source}: expected an object with ${CONFIG_SECTIONS.join('/')} sections`)
+  }
+
+  for (const section of Object.keys(config)) {
+    if (!CONFIG_SECTIONS.includes(section)) {
+      throw new Error(`Unknown section "${section}" in ${source}. Expected one of: ${CONFIG_SECTIONS.join(', ')}`)
+    }
+  }
+
+  return { config, source }
+}
+
+// Validates a command's config section against its parseArgs options, returning kebab-cased values
+export function normalizeSection(section = {}, options, label) {
+  const values = {}
+
+  for (const [rawKey, value] of Object.entries(section)) {
+    const key = toKebabCase(rawKey)
+    const option = options[key]
+
+    if (!option || key === 'help') {
+      const known = Object.keys(options).filter(name => name !== 'help').join(', ')
+      throw new Error(`Unknown option "${rawKey}" in ${label}. Valid options: ${known}`)
+    }
+
+    if (option.type === 'boolean') {
+      if (typeof value !== 'boolean') {
+        throw new Error(`Option "${rawKey}" in ${label} must be true or false`)
+      }
+      values[key] = value
+    } else if (option.object && typeof value === 'object' && value !== null && !Array.isArray(value)) {
+      // Structured config (e.g. size budgets) that the CLI can only express as strings
+      values[key] = value
+    } else if (Array.isArray(value)) {
+      values[key] = option.multiple ? value.map(String) : value.join(',')
+    } else if (typeof value === 'string' || typeof value === 'number') {
+      values[key] = String(value)
+    } else {
+      throw new Error(`Option "${rawKey}" in ${label} must be a string${option.object ? ' or object' : ''}`)
+    }
+  }
+
+  return values
+}
+
+/**
+ * Drop-in replacement for parseArgs that layers the project config underneath the CLI:
+ * option defaults < config section < flags actually passed on the command line.
+ *
+ * `exclusive` lists groups of options (e.g. release types) where any CLI flag in the
+ * group replaces the config's values for the whole group, rather than merging with them.
+ */
+export async function parseCommandArgs(command, { args, options, exclusive = [], ...rest }) {
+  const { values, positionals, tokens } = parseArgs({ args, options, ...rest, tokens: true })
+
+  // Help should never be blocked by a broken config
+  if (values.help) return { values, positionals }
+
+  const { config, source } = await loadConfig()
+  const section = normalizeSection(config[command], options, `${source} (${command})`)
+
+  const passed = new Set(tokens.filter(token => token.kind === 'option').map(token => token.name))
+  for (const group of exclusive) {
+    if (group.some(name => passed.has(name))) {
+      for (const name of group) delete section[name]
+    }
+  }
+
+  const explicit = {}
+  for (const name of passed) explicit[name] = values[name]
+
+  return {
+    values: { ...values, ...section, ...explicit },
+    positionals,
+  }
+}
@@ -0,0 +1,140 @@
+import fs from 'fs-extra'
+import path from 'node:path'
+import { formatBytes } from './sizes.js'
+
+// Written to the build output dir next to the size manifest, skipped by `itty release`
+export const METAFILE = '.meta.json'
+export const TREEMAP = '.meta.html'
+
+// Rollup ids → project-relative paths. Plugin-generated modules (e.g. "\0tslib") just lose the marker.
+export const modulePath = id => id.startsWith('\0')
+  ? id.slice(1)
+  : path.relative(process.cwd(), id).split(path.sep).join('/')
+
+// Every module Rollup included in a chunk, with its rendered size and the exports it dropped
+const chunkModules = chunk => Object.entries(chunk.modules).map(([id, module]) => ({
+  path: modulePath(id),
+  bytes: module.renderedLength,
+  originalBytes: module.originalLength,
+  removedExports: module.removedExports,
+}))
+
+/**
+ * Describes each entry chunk of a Rollup output, keyed by the entry's absolute source path:
+ * its modules, largest first, with their rendered size (after tree-shaking, before
+ * minification). Modules that live in a shared chunk the entry loads (--chunks) are included,
+ * marked with that `chunk`. `imports` are the packages the entry still imports.
+ */
+export function describeChunks(output) {
+  const chunks = new Map(output.filter(item => item.type === 'chunk').map(chunk => [chunk.fileName, chunk]))
+
+  return new Map([...chunks.values()].filter(chunk => chunk.isEntry).map(entry => {
+    const loaded = []
+    const visit = chunk => chunk.imports.map(file => chunks.get(file)).forEach(shared => {
+      if (shared && !loaded.includes(shared)) {
+        loaded.push(shared)
+        visit(shared)
+      }
+    })
+    visit(entry)
+
+    const modules = [
+      ...chunkModules(entry),
+      ...loaded.flatMap(shared => chunkModules(shared).map(module => ({ ...module, chunk: shared.fileName }))),
+    ].sort((a, b) => b.bytes - a.bytes || a.path.localeCompare(b.path))
+
+    const imports = [...new Set([entry, ...loaded].flatMap(chunk => chunk.imports.filter(file => !chunks.has(file))))]
+
+    return [entry.facadeModuleId, { modules, imports }]
+  }))
+}
+
+// Modules rendered into more than one entry - each entry carries its own copy (shared chunks aside)
+export function sharedModules(entries) {
+  const usage = new Map()
+
+  for (const [subpath, entry] of Object.entries(entries)) {
+    for (const module of entry.modules.filter(module => module.bytes > 0 && !module.chunk)) {
+      const shared = usage.get(module.path) ?? { path: module.path, bytes: 0, entries: [] }
+      shared.bytes = Math.max(shared.bytes, module.bytes)
+      shared.entries.push(subpath)
+      usage.set(module.path, shared)
+    }
+  }
+
+  return [...usage.values()]
+    .filter(shared => shared.entries.length > 1)
+    .sort((a, b) => b.bytes - a.bytes || a.path.localeCompare(b.path))
+}
+
+export async function writeMetafile(out, metafile) {
+  await fs.writeJSON(path.join(out, METAFILE), metafile, { spaces: 2 })
+}
+
+const escapeHtml = value => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`)
+
+/**
+ * Renders a metafile as a single HTML page with no external assets: one column per entry,
+ * sized by its rendered bytes, split into one block per module. Hover a block for details.
+ */
+export function renderTreemap(metafile) {
+  const entries = Object.entries(metafile.entries)
+
+  const columns = entries.map(([subpath, entry]) => {
+    const rendered = entry.modules.reduce((total, module) => total + module.bytes, 0)
+
+    const blocks = entry.modules.filter(module => module.bytes > 0).map(module => {
+      const kind = module.path.includes('node_modules/') ? 'dependency'
+        : module.chunk || metafile.shared.some(shared => shared.path === module.path) ? 'shared'
+        : 'source'
+      const details = [
+        module.path,
+        `${formatBytes(module.bytes)} rendered (${formatBytes(module.originalBytes)} source)`,
+        module.chunk ? `shared chunk: ${module.chunk}` : '',
+        module.removedExports.length ? `removed exports: ${module.removedExports.join(', ')}` : '',
+      ].filter(Boolean).join('\n')
+
+      return `<div class="module ${kind}" style="flex-grow: ${module.bytes}" title="${escapeHtml(details)}">`
+        + `<span>${escapeHtml(module.path)} · ${escapeHtml(formatBytes(module.bytes))}</span></div>`
+    })
+
+    return `<section class="entry" style="flex-grow: ${Math.max(rendered, 1)}">`
+      + `<h2 title="${escapeHtml(entry.file)}">${escapeHtml(subpath)} · ${escapeHtml(formatBytes(entry.raw))}</h2>`
+      + `<div class="modules">${blocks.join('')}</div></section>`
+  })
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(metafile.name)} v${escapeHtml(metafile.version)} - bundle composition</title>
+<style>
+  body { margin: 0; font: 13px system-ui, sans-serif; display: flex; flex-direction: column; height: 100vh; }
+  header { padding: 8px 12px; display: flex; gap: 16px; align-items: baseline; }
+  header h1 { font-size: 16px; margin: 0; }
+  .legend span::before { content: ''; display: inline-block; width: 10px; height: 10px; margin: 0 4px 0 12px; }
+  main { flex: 1; display: flex; gap: 4px; padding: 0 12px 12px; min-height: 0; }
+  .entry { flex-basis: 0; min-width: 48px; display: flex; flex-direction: column; }
+  .entry h2 { font-size: 13px; margin: 0 0 4px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+  .modules { flex: 1; display: flex; flex-direction: column; gap: 1px; }
+  .module { flex-basis: 0; min-height: 2px; overflow: hidden; padding: 0 4px; color: #fff; }
+  .module span { white-space: nowrap; line-height: 18px; }
+  .source, .legend .source::before { background: #3b6ea8; }
+  .shared, .legend .shared::before { background: #c2762b; }
+  .dependency, .legend .dependency::before { background: #5b8c4a; }
+</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(metafile.name)} v${escapeHtml(metafile.version)}</h1>
+  <div class="legend"><span class="source">source</span><span class="shared">in several entries</span><span class="dependency">node_modules</span></div>
+</header>
+<main>${columns.join('\n')}</main>
+</body>
+</html>
+`
+}
+
+export async function writeTreemap(out, metafile) {
+  await fs.writeFile(path.join(out, TREEMAP), renderTreemap(metafile))
+}
@@ -0,0 +1,337 @@
+import fs from 'fs-extra'
+import { execFile } from 'node:child_process'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { promisify } from 'node:util'
+import { brotliCompressSync, constants, gzipSync } from 'node:zlib'
+import { parseAst } from 'rollup/parseAst'
+
+export const SIZE_METRICS = ['raw', 'gzip', 'brotli']
+
+// Written to the build output dir, skipped by `itty release`
+export const SIZE_MANIFEST = '.sizes.json'
+
+const exec = promisify(execFile)
+
+// An unresponsive registry shouldn't hold up a build - the comparison is skipped instead
+const PACK_TIMEOUT = 30000
+
+const UNITS = { b: 1, kb: 1024, k: 1024, mb: 1024 * 1024, m: 1024 * 1024 }
+
+export function measure(code) {
+  const buffer = Buffer.from(code)
+
+  return {
+    raw: buffer.length,
+    gzip: gzipSync(buffer, { level: 9 }).length,
+    brotli: brotliCompressSync(buffer, {
+      params: { [constants.BROTLI_PARAM_QUALITY]: constants.BROTLI_MAX_QUALITY },
+    }).length,
+  }
+}
+
+export async function measureFile(filePath) {
+  return measure(await fs.readFile(filePath))
+}
+
+// "./chunks/shared-a1b2.mjs" from `import ... from`/`export ... from` - dynamic imports load later, if at all
+function staticImports(code) {
+  let ast
+  try {
+    ast = parseAst(code)
+  } catch {
+    return [] // not an ES module
+  }
+
+  return ast.body
+    .filter(node => /^(ImportDeclaration|ExportNamedDeclaration|ExportAllDeclaration)$/.test(node.type) && node.source)
+    .map(node => node.source.value)
+    .filter(source => /^\.\.?\//.test(source))
+}
+
+/**
+ * Measures an entry together with every file it statically imports by relative path (the
+ * shared chunks of a --chunks build), so shared code counts towards each entry that loads it.
+ * Resolves to { raw, gzip, brotli }, plus `chunks` (relative to `root`) when there are any.
+ */
+export async function measureEntry(filePath, root = path.dirname(filePath)) {
+  if (!await fs.pathExists(filePath)) {
+    throw new Error(`Can't measure ${filePath} - the file doesn't exist`)
+  }
+
+  const files = []
+  const queue = [path.resolve(filePath)]
+
+  while (queue.length) {
+    const file = queue.shift()
+
+    // An import that isn't there (e.g. external to the package) has nothing to measure
+    if (files.includes(file) || !await fs.pathExists(file)) continue
+
+    files.push(file)
+    queue.push(...staticImports(await fs.readFile(file, 'utf-8')).map(source => path.resolve(path.dirname(file), source)))
+  }
+
+  const sizes = await Promise.all(files.map(measureFile))
+  const total = Object.fromEntries(SIZE_METRICS.map(metric => [metric, sizes.reduce((sum, size) => sum + size[metric], 0)]))
+  const chunks = files.slice(1).map(file => path.relative(root, file).split(path.sep).join('/'))
+
+  return chunks.length ? { ...total, chunks } : total
+}
+
+// 500, "500", "500b", "1.5kb", "2k" → bytes
+export function parseSize(value) {
+  if (typeof value === 'number') return value
+
+  const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb?|mb?)?$/)
+  if (!match) {
+    throw new Error(`Invalid size "${value}" (expected e.g. 500b, 1.5kb)`)
+  }
+
+  return Math.round(Number(match[1]) * UNITS[match[2] ?? 'b'])
+}
+
+export const formatBytes = bytes => `${bytes} B`
+
+export const formatDiff = bytes => bytes > 0 ? `+${bytes} B` : bytes < 0 ? `-${-bytes} B` : '±0 B'
+
+// A single budget: "500b" (raw), { gzip: "300b" }, or "raw=500b,gzip=300b"
+function parseLimits(value, label) {
+  const limits = {}
+  let pairs
+
+  if (typeof value === 'object' && value !== null) {
+    pairs = Object.entries(value)
+  } else if (String(value).includes('=')) {
+    pairs = String(value).split(',').map(pair => pair.split('=').map(part => part.trim()))
+  } else {
+    pairs = [['raw', value]]
+  }
+
+  for (const [metric, size] of pairs) {
+    if (!SIZE_METRICS.includes(metric)) {
+      throw new Error(`Unknown size metric "${metric}" for ${label} (expected ${SIZE_METRICS.join(', ')})`)
+    }
+    limits[metric] = parseSize(size)
+  }
+
+  return limits
+}
+
+/**
+ * Normalizes --max-size values into { [entry]: { raw, gzip, brotli } }.
+ * Accepts CLI strings ("index=500b", "index:gzip=300b", "*:brotli=1kb", comma-separated)
+ * or a config object ({ index: "500b", "*": { gzip: "1kb" } }).
+ */
+export function parseBudgets(maxSize) {
+  const budgets = {}
+  if (!maxSize) return budgets
+
+  const add = (entry, limits) => {
+    budgets[entry] = { ...budgets[entry], ...limits }
+  }
+
+  if (typeof maxSize === 'object' && !Array.isArray(maxSize)) {
+    for (const [entry, value] of Object.entries(maxSize)) {
+      add(entry, parseLimits(value, `"${entry}"`))
+    }
+    return budgets
+  }
+
+  const rules = [].concat(maxSize).flatMap(rule => rule.split(',')).map(rule => rule.trim()).filter(Boolean)
+
+  for (const rule of rules) {
+    const [target, size] = rule.split('=')
+    if (size === undefined) {
+      throw new Error(`Invalid --max-size "${rule}" (expected entry=size, e.g. index=500b)`)
+    }
+
+    const [entry, metric = 'raw'] = target.split(':')
+    add(entry, parseLimits({ [metric]: size }, `"${entry}"`))
+  }
+
+  return budgets
+}
+
+export const parseSnippetBudget = value => value ? parseLimits(value, 'snippet') : {}
+
+/**
+ * Compares measured sizes ({ [entry]: { raw, gzip, brotli } }) against budgets.
+ * Entry-specific limits override the "*" wildcard per metric.
+ */
+export function checkBudgets(sizes, budgets) {
+  const violations = []
+
+  for (const entry of Object.keys(budgets)) {
+    if (entry !== '*' && !sizes[entry]) {
+      throw new Error(`Size budget set for unknown entry "${entry}". Available entries: ${Object.keys(sizes).join(', ')}`)
+    }
+  }
+
+  for (const [entry, size] of Object.entries(sizes)) {
+    const limits = { ...budgets['*'], ...budgets[entry] }
+
+    for (const metric of SIZE_METRICS) {
+      if (limits[metric] !== undefined && size[metric] > limits[metric]) {
+        violations.push({ entry, metric, size: size[metric], limit: limits[metric] })
+      }
+    }
+  }
+
+  return violations
+}
+
+// Renders rows of { [column]: value } as an aligned plain-text table
+export function formatTable(rows, columns) {
+  const widths = columns.map(column => Math.max(
+    column.length,
+    ...rows.map(row => String(row[column] ?? '').length),
+  ))
+
+  const line = values => '  ' + values.map((value, i) => String(value ?? '').padEnd(widths[i])).join('  ').trimEnd()
+
+  return [
+    line(columns),
+    line(widths.map(width => '─'.repeat(width))),
+    ...rows.map(row => line(columns.map(column => row[column]))),
+  ].join('\n')
+}
+
+export function formatViolations(violations) {
+  return formatTable(violations.map(({ entry, metric, size, limit }) => ({
+    entry,
+    metric,
+    size: formatBytes(size),
+    limit: formatBytes(limit),
+    over: formatDiff(size - limit),
+  })), ['entry', 'metric', 'size', 'limit', 'over'])
+}
+
+export async function writeManifest(out, manifest) {
+  await fs.writeJSON(path.join(out, SIZE_MANIFEST), manifest, { spaces: 2 })
+}
+
+export async function readManifest(filePath) {
+  if (!await fs.pathExists(filePath)) {
+    throw new Error(`Size baseline "${filePath}" not found. Create it with --update-baseline`)
+  }
+
+  const manifest = await fs.readJSON(filePath)
+  if (!manifest.exports) {
+    throw new Error(`Size baseline "${filePath}" is not a size manifest (missing "exports")`)
+  }
+
+  return manifest
+}
+
+// The file an export resolves to for size purposes: "import" first, then "default"/"require"
+export function resolveExportFile(target) {
+  if (typeof target === 'string') return target
+  if (!target || typeof target !== 'object') return undefined
+
+  for (const condition of ['import', 'default', 'require']) {
+    const file = resolveExportFile(target[condition])
+    if (file) return file
+  }
+}
+
+// "exports" can be a single target, a conditions object, or a subpath map - always returns a subpath map
+export const packageExports = pkg => !pkg.exports ? {}
+  : typeof pkg.exports === 'object' && Object.keys(pkg.exports).every(key => key.startsWith('.')) ? pkg.exports
+  : { '.': pkg.exports }
+
+// The first of `roots` that contains `file`
+export async function findRoot(roots, file) {
+  for (const root of roots) {
+    if (await fs.pathExists(path.join(root, file))) return root
+  }
+}
+
+/**
+ * Measures every export of an already-built package from its package.json, returning a
+ * size manifest: { name, version, exports: { [subpath]: { file, raw, gzip, brotli } } }.
+ * Export targets are resolved against each of `roots` (relative to `dir`) in turn.
+ */
+export async function measurePackage(dir, { roots = ['.'] } = {}) {
+  const pkg = await fs.readJSON(path.join(dir, 'package.json'))
+
+  // Older versions may only have main/module
+  const exportMap = pkg.exports ? packageExports(pkg) : { '.': pkg.module ?? pkg.main }
+
+  const exports = {}
+  for (const [subpath, target] of Object.entries(exportMap)) {
+    const file = resolveExportFile(target)
+    if (!file || !/\.[cm]?js$/.test(file)) continue
+
+    const root = await findRoot(roots.map(root => path.join(dir, root)), file)
+    if (!root) {
+      throw new Error(`Export "${subpath}" points to missing file ${file}`)
+    }
+
+    exports[subpath] = { file, ...await measureEntry(path.join(root, file), root) }
+  }
+
+  return { name: pkg.name, version: pkg.version, exports }
+}
+
+/**
+ * Packs a published version with `npm pack`, so the configured registry and npm cache are
+ * used (a local registry stand-in works via .npmrc or --registry), then measures its exports.
+ */
+export async function fetchPublishedManifest(name, { version = 'latest', registry } = {}) {
+  const dir = await fs.mkdtemp(path.join(tmpdir(), 'itty-sizes-'))
+
+  try {
+    const args = ['pack', `${name}@${version}`, '--json', '--pack-destination', dir, '--fetch-retries=0']
+    if (registry) args.push(`--registry=${registry}`)
+
+    const { stdout } = await exec('npm', args, { timeout: PACK_TIMEOUT }).catch(error => {
+      if (error.killed) {
+        throw new Error(`npm pack timed out after ${PACK_TIMEOUT / 1000}s`)
+      }
+
+      // npm's own explanation (e.g. E404) is far more useful than "Command failed"
+      const reason = error.stderr?.split('\n').find(line => /^npm (ERR!|error)/.test(line)) ?? error.message
+      throw new Error(reason.replace(/^npm (ERR!|error)\s*/, ''))
+    })
+    const [{ filename }] = JSON.parse(stdout)
+
+    await exec('tar', ['-xzf', path.join(dir, path.basename(filename)), '-C', dir])
+
+    return await measurePackage(path.join(dir, 'package'))
+  } finally {
+    await fs.remove(dir)
+  }
+}
+
+// Diffs two manifests per export, including exports that were added or removed
+export function compareManifests(current, baseline) {
+  const subpaths = [...new Set([...Object.keys(current.exports), ...Object.keys(baseline.exports)])].sort()
+
+  return subpaths.map(subpath => {
+    const now = current.exports[subpath]
+    const before = baseline.exports[subpath]
+    const row = { export: subpath }
+
+    for (const metric of SIZE_METRICS) {
+      row[metric] = !now ? 'removed'
+        : !before ? `${formatBytes(now[metric])} (new)`
+        : `${formatBytes(now[metric])} (${formatDiff(now[metric] - before[metric])})`
+    }
+
+    return row
+  })
+}
+
+export const formatComparison = rows => formatTable(rows, ['export', ...SIZE_METRICS])
+
+// Same shape as formatTable, as a GitHub-flavored markdown table with right-aligned numbers
+export function formatMarkdownTable(rows, columns, { align = [] } = {}) {
+  const line = values => `| ${values.join(' | ')} |`
+
+  return [
+    line(columns),
+    line(columns.map((_, i) => align[i] === 'right' ? '---:' : '---')),
+    ...rows.map(row => line(columns.map(column => row[column] ?? ''))),
+  ].join('\n')
+}
@@ -0,0 +1,201 @@
+import fs from 'fs-extra'
+import path from 'node:path'
+import { parseAst } from 'rollup/parseAst'
+
+// "connect,withParams" → ['connect', 'withParams']
+export const parseSnippets = value => value
+  ? [...new Set(String(value).split(',').map(name => name.trim()).filter(Boolean))]
+  : []
+
+export const snippetPath = (out, name) => path.join(out, `${name}.snippet.js`)
+
+// Visits every node depth-first - return false from visit() to skip a node's children
+function walk(node, visit, parent, key) {
+  if (visit(node, parent, key) === false) return
+
+  for (const [childKey, child] of Object.entries(node)) {
+    if (Array.isArray(child)) {
+      child.forEach(item => item?.type && walk(item, visit, node, childKey))
+    } else if (child?.type) {
+      walk(child, visit, node, childKey)
+    }
+  }
+}
+
+// Names bound by a declaration pattern: a, { a, b: [c, ...d] }, e = 1
+function bindingNames(pattern) {
+  if (!pattern) return []
+
+  switch (pattern.type) {
+    case 'Identifier': return [pattern.name]
+    case 'ObjectPattern': return pattern.properties.flatMap(property => bindingNames(property.value ?? property.argument))
+    case 'ArrayPattern': return pattern.elements.flatMap(bindingNames)
+    case 'AssignmentPattern': return bindingNames(pattern.left)
+    case 'RestElement': return bindingNames(pattern.argument)
+    default: return []
+  }
+}
+
+const isFunction = node => /^(FunctionDeclaration|FunctionExpression|ArrowFunctionExpression)$/.test(node.type)
+
+// Whether a function or block introduces its own binding for `name`, shadowing the top-level one
+function shadows(node, name) {
+  const declared = []
+
+  if (isFunction(node)) {
+    if (node.type === 'FunctionExpression' && node.id) declared.push(node.id.name)
+    declared.push(...node.params.flatMap(bindingNames))
+
+    // var and function declarations anywhere in the body, short of nested functions
+    if (node.body.type === 'BlockStatement') {
+      walk(node.body, child => {
+        if (child !== node.body && isFunction(child)) {
+          if (child.type === 'FunctionDeclaration') declared.push(child.id.name)
+          return false
+        }
+        if (child.type === 'VariableDeclaration') {
+          declared.push(...child.declarations.flatMap(declaration => bindingNames(declaration.id)))
+        }
+      })
+    }
+  } else if (node.type === 'CatchClause') {
+    declared.push(...bindingNames(node.param))
+  } else if (node.type === 'ClassExpression' && node.id) {
+    declared.push(node.id.name)
+  }
+
+  return declared.includes(name)
+}
+
+// Identifiers that are names of something else, not references: a.b, { b: 1 }, class { b() {} }
+function isReference(node, parent, key) {
+  if (!parent) return true
+  if (parent.type === 'MemberExpression') return key === 'object' || parent.computed
+  if (parent.type === 'Property' || parent.type === 'MethodDefinition' || parent.type === 'PropertyDefinition') {
+    return key === 'value' || parent.computed
+  }
+  if (/^(LabeledStatement|BreakStatement|ContinueStatement)$/.test(parent.type)) return false
+  if (/^Export|^Import/.test(parent.type)) return false
+
+  return true
+}
+
+// Applies [start, end, text] replacements, last first so earlier offsets stay valid
+const applyEdits = (code, edits) => edits
+  .sort((a, b) => b[0] - a[0])
+  .reduce((result, [start, end, text]) => result.slice(0, start) + text + result.slice(end), code)
+
+/**
+ * Renames every top-level reference to `from` as `to`, leaving inner bindings that shadow
+ * it (and property names that merely share it) alone.
+ */
+function renameBinding(ast, from, to) {
+  const edits = []
+
+  walk(ast, (node, parent, key) => {
+    if (node !== ast && shadows(node, from)) return false
+
+    // { connect } → { connect: ittyConnect }, so the property keeps its name
+    if (node.type === 'Property' && node.shorthand && node.value.type === 'Identifier' && node.value.name === from) {
+      edits.push([node.start, node.end, `${from}:${to}`])
+      return false
+    }
+
+    if (node.type === 'Identifier' && node.name === from && isReference(node, parent, key)) {
+      edits.push([node.start, node.end, to])
+    }
+  })
+
+  return edits
+}
+
+/**
+ * Runs before minification. Keeps only the export the snippet is named after (or the entry's
+ * only export), renamed to the snippet name, so the minifier drops everything else and its
+ * name can be reserved from mangling.
+ */
+export function prepareSnippet(name, entry) {
+  return {
+    name: 'itty-snippet-prepare',
+    renderChunk(code) {
+      const ast = parseAst(code)
+      const statements = ast.body.filter(node => node.type === 'ExportNamedDeclaration' && !node.source)
+
+      const exported = statements.flatMap(node => node.declaration
+        ? [node.declaration.id, ...node.declaration.declarations?.map(declaration => declaration.id) ?? []]
+          .filter(id => id?.type === 'Identifier')
+          .map(id => ({ exported: id.name, local: id.name }))
+        : node.specifiers.map(specifier => ({ exported: specifier.exported.name, local: specifier.local.name })))
+
+      const target = exported.find(item => item.exported === name) ?? (exported.length === 1 ? exported[0] : undefined)
+      if (!target) {
+        const available = exported.map(item => item.exported).join(', ') || 'none'
+        throw new Error(`Snippet "${name}": ${entry} has no export named "${name}" (exports: ${available})`)
+      }
+
+      const edits = statements.map(node => node.declaration
+        ? [node.start, node.declaration.start, '']
+        : [node.start, node.end, ''])
+
+      if (target.local !== name) {
+        let taken = false
+        walk(ast, (node, parent, key) => {
+          if (node.type === 'Identifier' && node.name === name && isReference(node, parent, key)) taken = true
+        })
+        if (taken) {
+          throw new Error(`Snippet "${name}": can't rename ${target.local} to ${name}, which ${entry} already uses`)
+        }
+
+        edits.push(...renameBinding(ast, target.local, name))
+      }
+
+      return { code: `${applyEdits(code, edits)}\nexport { ${name} };\n`, map: null }
+    },
+  }
+}
+
+// Runs after minification: drops the remaining export, leaving a plain declaration to paste
+export function finalizeSnippet() {
+  return {
+    name: 'itty-snippet-finalize',
+    renderChunk(code) {
+      const ast = parseAst(code)
+      const edits = ast.body
+        .filter(node => node.type === 'ExportNamedDeclaration')
+        .map(node => node.declaration ? [node.start, node.declaration.start, ''] : [node.start, node.end, ''])
+
+      return { code: applyEdits(code, edits).trim(), map: null }
+    },
+  }
+}
+
+// Names are identifiers, which may contain "$"
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// <!-- BEGIN SNIPPET:name --> ... <!-- END SNIPPET:name --> (or the unnamed pair, for a lone snippet)
+const markerPattern = name => name
+  ? new RegExp(`(<!-- BEGIN SNIPPET:${escapeRegExp(name)} -->).*?(<!-- END SNIPPET(?::${escapeRegExp(name)})? -->)`, 's')
+  : /(<!-- BEGIN SNIPPET -->).*?(<!-- END SNIPPET -->)/s
+
+/**
+ * Moves a built snippet into its README marker, returning the injected code.
+ * `unnamed` allows the plain <!-- BEGIN SNIPPET --> marker as a fallback.
+ */
+export async function injectSnippet(name, out, { unnamed = false } = {}) {
+  const file = snippetPath(out, name)
+  const code = (await fs.readFile(file, 'utf-8')).trim()
+  await fs.unlink(file)
+
+  const readmePath = './README.md'
+  const readme = await fs.pathExists(readmePath) ? await fs.readFile(readmePath, 'utf-8') : ''
+
+  const marker = [markerPattern(name), unnamed && markerPattern()].find(pattern => pattern && pattern.test(readme))
+  if (!marker) {
+    throw new Error(`README.md has no <!-- BEGIN SNIPPET:${name} --> ... <!-- END SNIPPET:${name} --> section for snippet "${name}"`)
+  }
+
+  await fs.writeFile(readmePath, readme.replace(marker, (_, begin, end) => `${begin}\n\`\`\`ts\n${code}\n\`\`\`\n${end}`))
+  console.log(`📝 README.md updated with ${name} snippet`)
+
+  return code
+}
@@ -0,0 +1,61 @@
+import { parse } from 'acorn'
+import fs from 'fs-extra'
+
+// --target values, oldest first
+export const TARGETS = [...Array.from({ length: 10 }, (_, i) => `es${2015 + i}`), 'esnext']
+
+// "es2018,esnext" → ['es2018', 'esnext'] - the first is the main build, the rest get folders of their own
+export function parseTargets(value) {
+  const targets = [...new Set([].concat(value ?? [])
+    .flatMap(item => String(item).split(','))
+    .map(target => target.trim().toLowerCase())
+    .filter(Boolean))]
+
+  for (const target of targets) {
+    if (!TARGETS.includes(target)) {
+      throw new Error(`Unknown --target "${target}" (expected one of: ${TARGETS.join(', ')})`)
+    }
+  }
+
+  return targets
+}
+
+// Terser never writes syntax newer than ES2020 itself, so that's as high as its `ecma` needs to go
+export function terserEcma(value) {
+  const [target] = parseTargets(value)
+  if (!target) return undefined
+
+  return target === 'esnext' ? 2020 : Math.min(Number(target.slice(2)), 2020)
+}
+
+/**
+ * Parses each built file ({ file, module }) as the given target, returning one
+ * { file, position, near } per file that uses newer syntax. Acorn rejects anything
+ * past its `ecmaVersion`, so the first newer construct is where parsing stops.
+ */
+export async function checkSyntax(outputs, target) {
+  const violations = []
+
+  for (const { file, module } of outputs) {
+    const code = await fs.readFile(file, 'utf-8')
+
+    try {
+      parse(code, {
+        ecmaVersion: Number(target.slice(2)),
+        sourceType: module ? 'module' : 'script',
+        allowHashBang: true,
+      })
+    } catch (error) {
+      if (!(error instanceof SyntaxError)) throw error
+
+      const { line, column } = error.loc
+      violations.push({
+        file,
+        position: `${line}:${column + 1}`,
+        near: code.slice(Math.max(0, error.pos - 20), error.pos + 20).replace(/\s+/g, ' ').trim(),
+      })
+    }
+  }
+
+  return violations
+}
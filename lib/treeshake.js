@@ -0,0 +1,50 @@
+import { modulePath } from './metafile.js'
+
+// Rollup id of the virtual module that imports an entry the way a consumer's code would
+export const CONSUMER = '\0itty-consumer'
+
+// Serves `code` as the CONSUMER module, so it can be the input of a Rollup build
+export const consumerPlugin = code => ({
+  name: 'itty-consumer',
+  resolveId: id => id === CONSUMER ? id : null,
+  load: id => id === CONSUMER ? code : null,
+})
+
+// `import 'my-lib/entry'` uses nothing, so a consumer's bundle only keeps it to run its side effects
+export const bareImport = file => `import ${JSON.stringify(file)}`
+
+export const namedImport = (file, name) => `export { ${name} } from ${JSON.stringify(file)}`
+
+/**
+ * The modules still rendered into a bundle that imports nothing from them - their side
+ * effects - with the rendered size and the start of the code that was kept.
+ */
+export function sideEffectModules(chunk) {
+  return Object.entries(chunk.modules)
+    .filter(([id, module]) => id !== CONSUMER && module.renderedLength > 0)
+    .map(([id, module]) => ({
+      path: modulePath(id),
+      bytes: module.renderedLength,
+      code: module.code.replace(/\s+/g, ' ').trim().slice(0, 40),
+    }))
+}
+
+// Rendered bytes per module path, the consumer itself left out
+export const renderedModules = chunk => Object.fromEntries(Object.entries(chunk.modules)
+  .filter(([id, module]) => id !== CONSUMER && module.renderedLength > 0)
+  .map(([id, module]) => [modulePath(id), module.renderedLength]))
+
+/**
+ * Code an export's bundle keeps that the export doesn't use but other exports of the entry do -
+ * e.g. a helper module with top-level side effects, imported next to it. `exports` are
+ * [{ name, modules, needs }], with the rendered bytes per module as bundled and as needed.
+ * Resolves to [{ export, module, bytes, usedBy }]; code no export needs is a side effect.
+ */
+export function unusedModules(exports) {
+  return exports.flatMap(({ name, modules, needs }) => Object.entries(modules).map(([module, bytes]) => ({
+    export: name,
+    module,
+    bytes: bytes - (needs[module] ?? 0),
+    usedBy: exports.filter(other => other.name !== name && other.needs[module]).map(other => other.name),
+  }))).filter(({ bytes, usedBy }) => bytes > 0 && usedBy.length)
+}
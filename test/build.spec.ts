@@ -1,11 +1,13 @@
 import { afterAll, expect } from 'bun:test'
 import path from 'node:path'
+import vm from 'node:vm'
 import {
   CLITestRunner,
   ProjectFixture,
   type TestTree,
   expectFile,
-  runTestTree
+  runTestTree,
+  withTimeout
 } from '../utils/test-utils'
 
 const cli = new CLITestRunner()
@@ -31,7 +33,7 @@ const tests: TestTree = {
 
         const result = await cli.run(['build'], { cwd: project.dir })
         expect(result.exitCode).not.toBe(0)
-        expect(result.stderr).toContain('TypeScript files found')
+        expect(result.stderr).toContain('No entry files found in src/')
       }
     },
 
@@ -69,6 +71,1026 @@ const tests: TestTree = {
       }
     },
 
+    'declarations': {
+      'writes one rolled-up .d.ts per entry': async () => {
+        const project = await ProjectFixture.create('dts-rollup', {
+          'src/types.ts': 'export type Options = { retries: number }\nexport type Internal = { secret: string }',
+          'src/helpers.ignore.util.ts': `import type { Options } from './types'\nexport const withDefaults = (options: Partial<Options> = {}): Options => ({ retries: 3, ...options })\nexport const unused = () => 'unused'`,
+          'src/index.ts': `import { withDefaults } from './helpers.ignore.util'\nimport type { Options } from './types'\nconst hidden = 1\nexport const connect = (options?: Partial<Options>): Options => withDefaults(options)\nexport type { Options }`,
+          'src/utils.ts': 'export const add = (a: number, b: number): number => a + b',
+          'package.json': JSON.stringify({ name: 'test-dts', version: '1.0.0', type: 'module' }, null, 2),
+          'tsconfig.json': JSON.stringify({
+            compilerOptions: { target: 'ES2022', module: 'ESNext', moduleResolution: 'bundler', declaration: true, outDir: './dist', strict: true },
+            include: ['src/**/*']
+          }, null, 2)
+        })
+
+        const result = await cli.run(['build'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+
+        const declarations = (await Array.fromAsync(new Bun.Glob('**/*.d.ts').scan(path.join(project.dir, 'dist')))).sort()
+        expect(declarations).toEqual(['index.d.ts', 'utils.d.ts'])
+
+        const types = await Bun.file(path.join(project.dir, 'dist/index.d.ts')).text()
+        expect(types).toContain('retries: number')
+        expect(types).toContain('export { connect }')
+        expect(types).toContain('export type { Options }')
+        expect(types).not.toContain('import')
+        expect(types).not.toContain('Internal')
+        expect(types).not.toContain('hidden')
+        expect(types).not.toContain('unused')
+      },
+
+      '--hybrid writes .d.cts and nests types per condition': async () => {
+        const project = await ProjectFixture.create('dts-hybrid', {
+          'src/index.ts': 'export const hello = (name: string): string => name',
+          'package.json': JSON.stringify({ name: 'test-dts', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build', '--hybrid'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        await expectFile(path.join(project.dir, 'dist/index.d.ts')).toContain('declare const hello')
+        await expectFile(path.join(project.dir, 'dist/index.d.cts')).toContain('declare const hello')
+
+        const pkg = JSON.parse(await Bun.file(path.join(project.dir, 'package.json')).text())
+        expect(pkg.exports).toEqual({
+          '.': {
+            import: { types: './index.d.ts', default: './index.mjs' },
+            require: { types: './index.d.cts', default: './index.js' }
+          }
+        })
+      },
+
+      '--hybrid requires a default-only entry as the value itself, as its .d.cts declares': async () => {
+        const project = await ProjectFixture.create('dts-hybrid-default', {
+          'src/index.ts': 'export default function greet(name: string): string { return `hi ${name}` }',
+          'package.json': JSON.stringify({ name: 'test-dts', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build', '--hybrid'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        await expectFile(path.join(project.dir, 'dist/index.d.cts')).toContain('export = greet;')
+        await expectFile(path.join(project.dir, 'dist/index.d.ts')).toContain('export { greet as default };')
+
+        const module = { exports: {} as unknown }
+        vm.runInNewContext(await Bun.file(path.join(project.dir, 'dist/index.js')).text(), { module, exports: module.exports })
+        expect(typeof module.exports).toBe('function')
+      },
+
+      'writes declarations without a tsconfig': async () => {
+        const project = await ProjectFixture.create('dts-no-tsconfig', {
+          'src/index.ts': 'export const hello = (name: string): string => name',
+          'package.json': JSON.stringify({ name: 'test-dts', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        await expectFile(path.join(project.dir, 'dist/index.d.ts')).toContain('declare const hello: (name: string) => string')
+      }
+    },
+
+    'parallel builds': {
+      'type-checks once across entries and reports timing': async () => {
+        const project = await ProjectFixture.create('parallel', {
+          'src/a.ts': 'export const a: number = 1',
+          'src/b.ts': 'export const b: number = 2',
+          'src/c.ts': 'export const c: number = "not a number"',
+          'package.json': JSON.stringify({ name: 'test-parallel', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build', '--concurrency=2'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        expect(result.stdout).toMatch(/Built 6 bundle\(s\) in \d+ms \(concurrency 2, slowest: .+ \d+ms\)/)
+        expect((result.stdout + result.stderr).match(/TS2322/g)).toHaveLength(1)
+        await expectFile(path.join(project.dir, 'dist/a.mjs')).toExist()
+        await expectFile(path.join(project.dir, 'dist/b.mjs')).toExist()
+        await expectFile(path.join(project.dir, 'dist/c.mjs')).toExist()
+      },
+
+      'rejects an invalid --concurrency': async () => {
+        const project = await ProjectFixture.create('parallel-invalid', {
+          'src/index.ts': 'export const a = 1',
+          'package.json': JSON.stringify({ name: 'test-parallel', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build', '--concurrency=0'], { cwd: project.dir })
+        expect(result.exitCode).not.toBe(0)
+        expect(result.stderr).toContain('Invalid --concurrency "0"')
+      }
+    },
+
+    'entry extensions': {
+      'builds plain JS entries with declarations from JSDoc': async () => {
+        const project = await ProjectFixture.create('js-entries', {
+          'src/index.js': '/**\n * @param {string} name\n * @returns {string}\n */\nexport const hello = name => `hello ${name}`',
+          'package.json': JSON.stringify({ name: 'test-js', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        await expectFile(path.join(project.dir, 'dist/index.mjs')).toExist()
+        await expectFile(path.join(project.dir, 'dist/index.d.ts')).toContain('declare function hello(name: string): string')
+      },
+
+      'mixed extensions produce the same exports layout': async () => {
+        const project = await ProjectFixture.create('mixed-entries', {
+          'src/a.ts': 'export const a: number = 1',
+          'src/b.mts': 'export const b: number = 2',
+          'src/c.js': 'export const c = 3',
+          'src/d.jsx': 'const h = (tag, props, ...children) => ({ tag, children })\nexport const d = () => <div>d</div>',
+          'src/e.tsx': 'const h = (tag: string, props: any, ...children: any[]) => ({ tag, children })\nexport const e = () => <div>e</div>',
+          'tsconfig.json': JSON.stringify({ compilerOptions: { jsx: 'react', jsxFactory: 'h', strict: false } }, null, 2),
+          'package.json': JSON.stringify({ name: 'test-mixed', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+
+        const pkg = JSON.parse(await Bun.file(path.join(project.dir, 'package.json')).text())
+        for (const name of ['a', 'b', 'c', 'd', 'e']) {
+          expect(pkg.exports[`./${name}`]).toEqual({ import: `./${name}.mjs`, types: `./${name}.d.ts` })
+          await expectFile(path.join(project.dir, `dist/${name}.d.ts`)).toExist()
+        }
+        await expectFile(path.join(project.dir, 'dist/d.mjs')).toContain('"div"')
+      },
+
+      '--extensions limits which files are entries': async () => {
+        const project = await ProjectFixture.create('extensions-limit', {
+          'src/index.ts': 'export const a = 1',
+          'src/legacy.js': 'export const b = 2',
+          'package.json': JSON.stringify({ name: 'test-extensions', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build', '--extensions=ts'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        await expectFile(path.join(project.dir, 'dist/index.mjs')).toExist()
+        await expectFile(path.join(project.dir, 'dist/legacy.mjs')).toNotExist()
+
+        const invalid = await cli.run(['build', '--extensions=ts,vue'], { cwd: project.dir })
+        expect(invalid.exitCode).not.toBe(0)
+        expect(invalid.stderr).toContain('Unsupported extension ".vue"')
+      }
+    },
+
+    'dependencies': {
+      'keeps dependencies, peers and built-ins external and warns on unlisted imports': async () => {
+        const fakePackage = (name: string) => ({
+          [`node_modules/${name}/package.json`]: JSON.stringify({ name, version: '1.0.0', type: 'module', main: 'index.js' }),
+          [`node_modules/${name}/index.js`]: `export const value = '${name}-value'`
+        })
+
+        const project = await ProjectFixture.create('deps-external', {
+          ...fakePackage('dep-a'),
+          ...fakePackage('peer-b'),
+          ...fakePackage('dev-c'),
+          ...fakePackage('stray-d'),
+          'src/index.ts': [
+            '// @ts-nocheck',
+            `import { readFileSync } from 'node:fs'`,
+            `import { value as a } from 'dep-a'`,
+            `import { value as b } from 'peer-b'`,
+            `import { value as c } from 'dev-c'`,
+            `import { value as d } from 'stray-d'`,
+            'export const all = () => [readFileSync, a, b, c, d]'
+          ].join('\n'),
+          'package.json': JSON.stringify({
+            name: 'test-deps',
+            version: '1.0.0',
+            type: 'module',
+            dependencies: { 'dep-a': '^1.0.0' },
+            peerDependencies: { 'peer-b': '^1.0.0' },
+            devDependencies: { 'dev-c': '^1.0.0' }
+          }, null, 2)
+        })
+
+        const result = await cli.run(['build'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        expect(result.stdout).toContain('External: dep-a, peer-b')
+        expect(result.stderr).toContain('"stray-d" is imported by src/index.ts but isn\'t listed in package.json')
+        expect(result.stderr).not.toContain('"dev-c"')
+
+        const output = await Bun.file(path.join(project.dir, 'dist/index.mjs')).text()
+        expect(output).toContain('from"node:fs"')
+        expect(output).toContain('from"dep-a"')
+        expect(output).toContain('from"peer-b"')
+        expect(output).toContain('dev-c-value')
+        expect(output).toContain('stray-d-value')
+      },
+
+      'bundles package.json "imports" without warning about them': async () => {
+        const project = await ProjectFixture.create('deps-imports', {
+          'src/internal.ignore.js': `export const value = 'internal-value'`,
+          'src/index.ts': `// @ts-nocheck\nimport { value } from '#internal'\nexport const a = () => value`,
+          'package.json': JSON.stringify({ name: 'test-deps', version: '1.0.0', type: 'module', imports: { '#internal': './src/internal.ignore.js' } }, null, 2)
+        })
+
+        const result = await cli.run(['build'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        expect(result.stderr).not.toContain('isn\'t listed in package.json')
+        await expectFile(path.join(project.dir, 'dist/index.mjs')).toContain('internal-value')
+      },
+
+      '--bundle inlines a listed dependency': async () => {
+        const project = await ProjectFixture.create('deps-bundle', {
+          'node_modules/dep-a/package.json': JSON.stringify({ name: 'dep-a', version: '1.0.0', type: 'module', main: 'index.js' }),
+          'node_modules/dep-a/index.js': `export const value = 'dep-a-value'`,
+          'src/index.ts': `// @ts-nocheck\nimport { value } from 'dep-a'\nexport const a = () => value`,
+          'package.json': JSON.stringify({ name: 'test-deps', version: '1.0.0', type: 'module', dependencies: { 'dep-a': '^1.0.0' } }, null, 2)
+        })
+
+        const result = await cli.run(['build', '--bundle=dep-a'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        await expectFile(path.join(project.dir, 'dist/index.mjs')).toContain('dep-a-value')
+      }
+    },
+
+    'defines and banners': {
+      'replaces defines and __VERSION__, dropping dead branches': async () => {
+        const project = await ProjectFixture.create('defines', {
+          'src/index.ts': [
+            'declare const __DEV__: boolean',
+            'declare const __VERSION__: string',
+            'declare const __API__: string',
+            `export const info = () => __DEV__ ? 'debug build' : [__VERSION__, __API__].join(' ')`
+          ].join('\n'),
+          'package.json': JSON.stringify({
+            name: 'test-defines',
+            version: '2.3.4',
+            type: 'module',
+            itty: { build: { define: { __DEV__: false, __API__: '"https://api.example.com"' } } }
+          }, null, 2)
+        })
+
+        const result = await cli.run(['build'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+
+        const output = await Bun.file(path.join(project.dir, 'dist/index.mjs')).text()
+        expect(output).not.toContain('debug build')
+        expect(output).not.toContain('__VERSION__')
+        expect(output).toContain('2.3.4')
+        expect(output).toContain('https://api.example.com')
+      },
+
+      'rejects a --define without a value': async () => {
+        const project = await ProjectFixture.create('defines-invalid', {
+          'src/index.ts': 'export const a = 1',
+          'package.json': JSON.stringify({ name: 'test-defines', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build', '--define=__DEV__'], { cwd: project.dir })
+        expect(result.exitCode).not.toBe(0)
+        expect(result.stderr).toContain('Invalid --define "__DEV__" (expected KEY=value')
+      },
+
+      'keeps the banner through minification, but not in snippets': async () => {
+        const project = await ProjectFixture.create('banner', {
+          'src/index.ts': 'export const connect = (port: number) => ({ port })',
+          'README.md': '<!-- BEGIN SNIPPET --><!-- END SNIPPET -->',
+          'package.json': JSON.stringify({ name: 'test-banner', version: '1.2.3', license: 'MIT', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run([
+          'build', '--hybrid', '--global=testBanner', '--snippet=index', `--banner='{name} v{version} | {license}'`
+        ], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+
+        for (const file of ['index.mjs', 'index.js', 'index.iife.js']) {
+          const output = await Bun.file(path.join(project.dir, 'dist', file)).text()
+          expect(output.startsWith('/*! test-banner v1.2.3 | MIT */\n')).toBe(true)
+        }
+
+        const readme = await Bun.file(path.join(project.dir, 'README.md')).text()
+        expect(readme).toContain('var index=')
+        expect(readme).not.toContain('test-banner')
+      }
+    },
+
+    'targets': {
+      'downlevels to --target, with extra targets in their own folder and condition': withTimeout(30000, async () => {
+        const project = await ProjectFixture.create('targets', {
+          'src/index.ts': 'export const get = (o?: { a?: { b: number } }) => o?.a?.b ?? 0',
+          'package.json': JSON.stringify({ name: 'test-targets', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build', '--target=es2018,es2022'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        expect(result.stdout).toContain('All outputs parse as es2018, es2022')
+
+        const es2018 = await Bun.file(path.join(project.dir, 'dist/index.mjs')).text()
+        const es2022 = await Bun.file(path.join(project.dir, 'dist/es2022/index.mjs')).text()
+        expect(es2018).not.toContain('?.')
+        expect(es2022).toContain('?.')
+
+        const pkg = JSON.parse(await Bun.file(path.join(project.dir, 'package.json')).text())
+        expect(pkg.exports['.']).toEqual({
+          es2022: './es2022/index.mjs',
+          import: './index.mjs',
+          types: './index.d.ts'
+        })
+        expect(Object.keys(pkg.exports['.'])[0]).toBe('es2022')
+      }),
+
+      'fails when output uses syntax newer than the target': async () => {
+        const project = await ProjectFixture.create('targets-newer', {
+          'src/index.js': 'export const get = (o) => o?.a ?? 0',
+          'package.json': JSON.stringify({ name: 'test-targets', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build', '--target=es2018'], { cwd: project.dir })
+        expect(result.exitCode).not.toBe(0)
+        expect(result.stderr).toContain('dist/index.mjs')
+        expect(result.stderr).toContain('1 file(s) use syntax newer than their --target')
+      },
+
+      'rejects an unknown target': async () => {
+        const project = await ProjectFixture.create('targets-unknown', {
+          'src/index.ts': 'export const a = 1',
+          'package.json': JSON.stringify({ name: 'test-targets', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build', '--target=es6'], { cwd: project.dir })
+        expect(result.exitCode).not.toBe(0)
+        expect(result.stderr).toContain('Unknown --target "es6"')
+      }
+    },
+
+    'metafile': {
+      'describes the modules in each export, and those shared between exports': async () => {
+        const project = await ProjectFixture.create('metafile', {
+          'src/helpers.ignore.ts': 'export const helper = (n: number) => n * 2\nexport const unused = () => 0',
+          'src/index.ts': `import { helper } from './helpers.ignore'\nexport const a = (n: number) => helper(n) + 1`,
+          'src/utils.ts': `import { helper } from './helpers.ignore'\nexport const b = (n: number) => helper(n) - 1`,
+          'package.json': JSON.stringify({ name: 'test-metafile', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build', '--treemap'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+
+        const metafile = JSON.parse(await Bun.file(path.join(project.dir, 'dist/.meta.json')).text())
+        const entry = metafile.entries['./utils']
+        expect(entry.source).toBe('src/utils.ts')
+        expect(entry.file).toBe('utils.mjs')
+        expect(entry.modules.map((module: any) => module.path).sort()).toEqual(['src/helpers.ignore.ts', 'src/utils.ts'])
+
+        const helper = entry.modules.find((module: any) => module.path === 'src/helpers.ignore.ts')
+        expect(helper.bytes).toBeGreaterThan(0)
+        expect(helper.removedExports).toEqual(['unused'])
+
+        expect(metafile.shared).toEqual([{ path: 'src/helpers.ignore.ts', bytes: helper.bytes, entries: ['.', './utils'] }])
+        await expectFile(path.join(project.dir, 'dist/.meta.html')).toContain('src/helpers.ignore.ts')
+      }
+    },
+
+    'shared chunks': {
+      'splits code shared between entries into chunks, counted towards each export': async () => {
+        const project = await ProjectFixture.create('chunks-named', {
+          'src/helpers.ignore.ts': 'export const helper = (n: number) => n * 2',
+          'src/index.ts': `import { helper } from './helpers.ignore'\nexport const a = (n: number) => helper(n) + 1`,
+          'src/utils.ts': `import { helper } from './helpers.ignore'\nexport const b = (n: number) => helper(n) - 1`,
+          'package.json': JSON.stringify({ name: 'test-chunks', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build', '--chunks=named'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        expect(result.stdout).toContain('Shared chunks')
+
+        const dist = path.join(project.dir, 'dist')
+        await expectFile(path.join(dist, 'chunks/helpers.ignore.mjs')).toExist()
+        await expectFile(path.join(dist, 'index.mjs')).toContain('./chunks/helpers.ignore.mjs')
+
+        const { a } = await import(path.join(dist, 'index.mjs'))
+        const { b } = await import(path.join(dist, 'utils.mjs'))
+        expect(a(2)).toBe(5)
+        expect(b(2)).toBe(3)
+
+        const pkg = JSON.parse(await Bun.file(path.join(project.dir, 'package.json')).text())
+        expect(pkg.exports['.'].import).toBe('./index.mjs')
+        expect(pkg.exports['./utils'].import).toBe('./utils.mjs')
+
+        const sizes = JSON.parse(await Bun.file(path.join(dist, '.sizes.json')).text())
+        const own = (await Bun.file(path.join(dist, 'index.mjs')).arrayBuffer()).byteLength
+        const chunk = sizes.chunks['chunks/helpers.ignore.mjs']
+        expect(chunk.exports).toEqual(['.', './utils'])
+        expect(sizes.exports['.'].chunks).toEqual(['chunks/helpers.ignore.mjs'])
+        expect(sizes.exports['.'].raw).toBe(own + chunk.raw)
+      },
+
+      'rejects unknown chunk naming': async () => {
+        const project = await ProjectFixture.create('chunks-invalid', {
+          'src/index.ts': 'export const a = 1',
+          'package.json': JSON.stringify({ name: 'test-chunks', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build', '--chunks=split'], { cwd: project.dir })
+        expect(result.exitCode).not.toBe(0)
+        expect(result.stderr).toContain('Invalid --chunks "split" (expected hashed or named)')
+      }
+    },
+
+    'cache': {
+      'restores unchanged entries and rebuilds changed ones': withTimeout(30000, async () => {
+        const project = await ProjectFixture.create('cache', {
+          'src/index.ts': 'export const a = 1',
+          'src/utils.ts': 'export const b = 2',
+          'package.json': JSON.stringify({ name: 'test-cache', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const first = await cli.run(['build'], { cwd: project.dir })
+        expect(first.exitCode).toBe(0)
+        expect(first.stdout).toContain('Cache: 0 hit(s), 4 miss(es)')
+        const built = await Bun.file(path.join(project.dir, 'dist/index.mjs')).text()
+
+        const second = await cli.run(['build'], { cwd: project.dir })
+        expect(second.exitCode).toBe(0)
+        expect(second.stdout).toContain('Cache: 4 hit(s), 0 miss(es)')
+        expect(second.stdout).not.toContain('Created bundle')
+        expect(await Bun.file(path.join(project.dir, 'dist/index.mjs')).text()).toBe(built)
+        await expectFile(path.join(project.dir, 'dist/utils.d.ts')).toExist()
+
+        await Bun.write(path.join(project.dir, 'src/utils.ts'), 'export const b = 3')
+        const third = await cli.run(['build'], { cwd: project.dir })
+        expect(third.exitCode).toBe(0)
+        expect(third.stdout).toContain('Cache: 2 hit(s), 2 miss(es) - rebuilt utils, utils (types)')
+        await expectFile(path.join(project.dir, 'dist/utils.mjs')).toContain('3')
+      }),
+
+      'rebuilds --chunks output when entries are added or removed': withTimeout(30000, async () => {
+        const project = await ProjectFixture.create('cache-chunks', {
+          'src/a.ts': 'export const a = 1',
+          'src/b.ts': 'export const b = 2',
+          'package.json': JSON.stringify({ name: 'test-cache', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        expect((await cli.run(['build', '--chunks=named'], { cwd: project.dir })).exitCode).toBe(0)
+
+        await Bun.write(path.join(project.dir, 'src/c.ts'), 'export const c = 3')
+        const added = await cli.run(['build', '--chunks=named'], { cwd: project.dir })
+        expect(added.exitCode).toBe(0)
+        expect(added.stdout).toContain('rebuilt entries')
+        await expectFile(path.join(project.dir, 'dist/c.mjs')).toExist()
+
+        await Bun.file(path.join(project.dir, 'src/b.ts')).delete()
+        const removed = await cli.run(['build', '--chunks=named'], { cwd: project.dir })
+        expect(removed.exitCode).toBe(0)
+        await expectFile(path.join(project.dir, 'dist/b.mjs')).toNotExist()
+      }),
+
+      'changing build options or --no-cache rebuilds everything': withTimeout(30000, async () => {
+        const project = await ProjectFixture.create('cache-options', {
+          'src/index.ts': 'export const a = 1',
+          'package.json': JSON.stringify({ name: 'test-cache', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        expect((await cli.run(['build'], { cwd: project.dir })).exitCode).toBe(0)
+
+        const changed = await cli.run(['build', '--sourcemap'], { cwd: project.dir })
+        expect(changed.stdout).toContain('Cache: 0 hit(s), 2 miss(es)')
+        await expectFile(path.join(project.dir, 'dist/index.mjs.map')).toExist()
+
+        const uncached = await cli.run(['build', '--sourcemap', '--no-cache'], { cwd: project.dir })
+        expect(uncached.exitCode).toBe(0)
+        expect(uncached.stdout).not.toContain('Cache:')
+        expect(uncached.stdout).toContain('Created bundle index.mjs')
+      })
+    },
+
+    'treeshake': {
+      '--treeshake sizes each export alone and flags side effects': withTimeout(30000, async () => {
+        const project = await ProjectFixture.create('treeshake', {
+          'src/index.ts': `export const a = (x: number) => x + 1
+export const b = (s: string) => s.repeat(3).toUpperCase()`,
+          'src/utils.ts': `import './lib/setup'
+export const u = 'u'`,
+          'src/lib/setup.ts': 'console.log(\'installed\')',
+          'package.json': JSON.stringify({ name: 'test-treeshake', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build', '--side-effects'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        expect(result.stdout).toMatch(/\.\s+a\s+\d+ B\s+\d+ B\s+\d+ B\n/)
+        expect(result.stdout).toMatch(/\.\/utils\s+u\s+\d+ B\s+\d+ B\s+\d+ B\s+\d+ B/)
+        expect(result.stderr).toMatch(/\.\/utils\s+src\/lib\/setup\.ts\s+\d+ B\s+console\.log\('installed'\)/)
+
+        const pkg = JSON.parse(await Bun.file(path.join(project.dir, 'package.json')).text())
+        expect(pkg.sideEffects).toEqual(['./utils.mjs'])
+      }),
+
+      '--treeshake flags exports that pull in code only other exports use': withTimeout(30000, async () => {
+        const project = await ProjectFixture.create('treeshake-unused', {
+          'src/index.ts': `import { table } from './heavy.ignore'
+export const a = (x: number) => x + 1
+export const lookup = (i: number) => table[i]`,
+          'src/heavy.ignore.ts': `export const table: number[] = []
+for (let i = 0; i < 1000; i++) table.push(i * 2)
+Object.defineProperty(globalThis, 'ittyTable', { value: table })`,
+          'package.json': JSON.stringify({ name: 'test-treeshake', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build', '--treeshake'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        expect(result.stderr).toContain('Exports that pull in other exports\' code without using it')
+        expect(result.stderr).toMatch(/\.\s+a\s+src\/heavy\.ignore\.ts\s+\d+ B\s+lookup/)
+        expect(result.stderr).not.toMatch(/\.\s+lookup\s+src\/heavy\.ignore\.ts/)
+      }),
+
+      '--side-effects writes false when every entry tree-shakes': withTimeout(30000, async () => {
+        const project = await ProjectFixture.create('treeshake-pure', {
+          'src/index.ts': 'export const a = 1',
+          'package.json': JSON.stringify({ name: 'test-treeshake', version: '1.0.0', type: 'module', sideEffects: true }, null, 2)
+        })
+
+        const result = await cli.run(['build', '--side-effects'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        expect(result.stdout).toContain('No side effects')
+
+        const pkg = JSON.parse(await Bun.file(path.join(project.dir, 'package.json')).text())
+        expect(pkg.sideEffects).toBe(false)
+      })
+    },
+
+    'api': {
+      '--api snapshots the exported surface and fails when it changes': withTimeout(30000, async () => {
+        const project = await ProjectFixture.create('api', {
+          'src/index.ts': `export interface Options { size: number }
+export const a = (x: number, options?: Options) => x + (options?.size ?? 0)`,
+          'package.json': JSON.stringify({ name: 'test-api', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const first = await cli.run(['build', '--api=api.json'], { cwd: project.dir })
+        expect(first.exitCode).toBe(0)
+        expect(first.stdout).toContain('API snapshot written to api.json')
+        const api = JSON.parse(await Bun.file(path.join(project.dir, 'api.json')).text())
+        expect(api['.']).toEqual({
+          a: 'const a: (x: number, options?: Options) => number',
+          Options: 'interface Options { size: number; }',
+        })
+
+        const unchanged = await cli.run(['build', '--api=api.json'], { cwd: project.dir })
+        expect(unchanged.exitCode).toBe(0)
+        expect(unchanged.stdout).toContain('API matches api.json')
+
+        await Bun.write(path.join(project.dir, 'src/index.ts'), `export interface Options { size: number }
+export const a = (x: number) => x
+export const b = 1`)
+        const changed = await cli.run(['build', '--api=api.json'], { cwd: project.dir })
+        expect(changed.exitCode).not.toBe(0)
+        expect(changed.stdout).toMatch(/\.\s+a\s+narrowed\s+major/)
+        expect(changed.stdout).toMatch(/\.\s+b\s+added\s+minor/)
+        expect(changed.stderr).toContain('rebuild with --update-api to accept it')
+
+        const updated = await cli.run(['build', '--api=api.json', '--update-api'], { cwd: project.dir })
+        expect(updated.exitCode).toBe(0)
+        await expectFile(path.join(project.dir, 'api.json')).toContain('const b = 1')
+      })
+    },
+
+    'check': {
+      '--check verifies the built package and fails the build on problems': withTimeout(30000, async () => {
+        const project = await ProjectFixture.create('check', {
+          'src/index.ts': 'export const a = 1',
+          'src/utils.ts': 'export const b = 2',
+          'package.json': JSON.stringify({ name: 'test-check', version: '1.0.0', type: 'module', sideEffects: false }, null, 2)
+        })
+
+        const result = await cli.run(['build', '--check'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        expect(result.stdout).toContain('test-check v1.0.0 checks out: 2 export(s)')
+        expect(result.stdout).toContain('Build completed')
+
+        // CommonJS in .js files, under "type": "module"
+        const hybrid = await cli.run(['build', '--check', '--hybrid'], { cwd: project.dir })
+        expect(hybrid.exitCode).not.toBe(0)
+        expect(hybrid.stdout).toContain('require() is missing exports: a')
+        expect(hybrid.stderr).toContain('Package check failed: 2 problem(s)')
+      })
+    },
+
+    'choosing entries': {
+      '--ignore excludes extra files and reports why': async () => {
+        const project = await ProjectFixture.create('entries-ignore', {
+          'src/index.ts': 'export const a = 1',
+          'src/helpers.ts': 'export const b = 2',
+          'src/types.ts': 'export type T = string',
+          'package.json': JSON.stringify({ name: 'test-ignore', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build', '--ignore=helpers.ts'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        expect(result.stdout).toMatch(/src\/helpers\.ts\s+ignored by helpers\.ts \(--ignore\)/)
+        expect(result.stdout).toMatch(/src\/types\.ts\s+ignored by \*\*\/types\.ts \(default\)/)
+        await expectFile(path.join(project.dir, 'dist/helpers.mjs')).toNotExist()
+
+        const pkg = JSON.parse(await Bun.file(path.join(project.dir, 'package.json')).text())
+        expect(Object.keys(pkg.exports)).toEqual(['.'])
+      },
+
+      '--no-default-ignore replaces the default globs': async () => {
+        const project = await ProjectFixture.create('entries-no-default-ignore', {
+          'src/index.ts': 'export const a = 1',
+          'src/types.ts': 'export const kinds = ["a", "b"]',
+          'src/index.spec.ts': 'export const spec = true',
+          'package.json': JSON.stringify({ name: 'test-ignore', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build', '--no-default-ignore', '--ignore=*.spec.ts'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        await expectFile(path.join(project.dir, 'dist/types.mjs')).toExist()
+        await expectFile(path.join(project.dir, 'dist/index.spec.mjs')).toNotExist()
+      },
+
+      'explicit entries from config skip discovery': async () => {
+        const project = await ProjectFixture.create('entries-explicit', {
+          'src/main.ts': 'export const main = 1',
+          'src/lib/utils.ts': 'export const utils = 2',
+          'src/stray.ts': 'export const stray = 3',
+          'package.json': JSON.stringify({
+            name: 'test-entries',
+            version: '1.0.0',
+            type: 'module',
+            itty: { build: { entries: { '.': 'src/main.ts', './utils': 'src/lib/utils.ts' } } }
+          }, null, 2)
+        })
+
+        const result = await cli.run(['build'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        await expectFile(path.join(project.dir, 'dist/index.mjs')).toContain('main')
+        await expectFile(path.join(project.dir, 'dist/utils.mjs')).toContain('utils')
+        await expectFile(path.join(project.dir, 'dist/stray.mjs')).toNotExist()
+
+        const pkg = JSON.parse(await Bun.file(path.join(project.dir, 'package.json')).text())
+        expect(pkg.exports).toEqual({
+          '.': { import: './index.mjs', types: './index.d.ts' },
+          './utils': { import: './utils.mjs', types: './utils.d.ts' }
+        })
+      },
+
+      'fails when an explicit entry is missing': async () => {
+        const project = await ProjectFixture.create('entries-missing', {
+          'src/index.ts': 'export const a = 1',
+          'package.json': JSON.stringify({ name: 'test-entries', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build', '--entries=./utils=src/utils.ts'], { cwd: project.dir })
+        expect(result.exitCode).not.toBe(0)
+        expect(result.stderr).toContain('Entry "./utils" points to missing file src/utils.ts')
+      }
+    },
+
+    'snippets': {
+      'injects each --snippet into its named README marker': async () => {
+        const project = await ProjectFixture.create('snippets-named', {
+          'src/connect.ts': 'const twice = (n: number) => n * 2\nexport const createConnection = (port: number) => ({ port: twice(port) })',
+          'src/withParams.ts': 'export const withParams = (request: any) => request\nexport const unused = () => "unused"',
+          'README.md': [
+            '<!-- BEGIN SNIPPET:connect -->old<!-- END SNIPPET:connect -->',
+            '<!-- BEGIN SNIPPET:withParams --><!-- END SNIPPET:withParams -->'
+          ].join('\n'),
+          'package.json': JSON.stringify({ name: 'test-snippets', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build', '--snippet=connect,withParams'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+
+        const readme = await Bun.file(path.join(project.dir, 'README.md')).text()
+        const [, connect] = readme.match(/SNIPPET:connect -->\n```ts\n(.*)\n```/) ?? []
+        const [, withParams] = readme.match(/SNIPPET:withParams -->\n```ts\n(.*)\n```/) ?? []
+
+        expect(readme).not.toContain('old')
+        expect(connect).not.toContain('export')
+        expect(withParams).not.toContain('unused')
+        expect(new Function(`${connect}; return connect(2)`)()).toEqual({ port: 4 })
+        expect(new Function(`${withParams}; return withParams('request')`)()).toBe('request')
+        await expectFile(path.join(project.dir, 'dist/connect.snippet.js')).toNotExist()
+      },
+
+      'matches the marker of a snippet named with a $': async () => {
+        const project = await ProjectFixture.create('snippets-dollar', {
+          'src/$fetch.ts': 'export const $fetch = (url: string) => url',
+          'README.md': '<!-- BEGIN SNIPPET:$fetch --><!-- END SNIPPET:$fetch -->',
+          'package.json': JSON.stringify({ name: 'test-snippets', version: '1.0.0', type: 'module', itty: { build: { snippet: '$fetch' } } }, null, 2)
+        })
+
+        const result = await cli.run(['build'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        await expectFile(path.join(project.dir, 'README.md')).toContain('<!-- BEGIN SNIPPET:$fetch -->\n```ts\n')
+      },
+
+      'fails when a README marker is missing': async () => {
+        const project = await ProjectFixture.create('snippets-no-marker', {
+          'src/connect.ts': 'export const connect = () => 1',
+          'src/withParams.ts': 'export const withParams = () => 2',
+          'README.md': '<!-- BEGIN SNIPPET:connect --><!-- END SNIPPET:connect -->',
+          'package.json': JSON.stringify({ name: 'test-snippets', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build', '--snippet=connect,withParams'], { cwd: project.dir })
+        expect(result.exitCode).not.toBe(0)
+        expect(result.stderr).toContain('README.md has no <!-- BEGIN SNIPPET:withParams -->')
+      },
+
+      'fails when the export cannot be found': async () => {
+        const project = await ProjectFixture.create('snippets-no-export', {
+          'src/connect.ts': 'export const a = 1\nexport const b = 2',
+          'README.md': '<!-- BEGIN SNIPPET:connect --><!-- END SNIPPET:connect -->',
+          'package.json': JSON.stringify({ name: 'test-snippets', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build', '--snippet=connect'], { cwd: project.dir })
+        expect(result.exitCode).not.toBe(0)
+        expect(result.stderr).toContain('has no export named "connect" (exports: a, b)')
+      }
+    },
+
+    'browser bundles': {
+      '--global writes a minified IIFE per entry sharing one namespace': async () => {
+        const project = await ProjectFixture.create('global-iife', {
+          'src/index.ts': 'export const hello = (name: string): string => `hello ${name}`',
+          'src/adapters/node.ts': 'export const node = true',
+          'package.json': JSON.stringify({ name: 'test-global', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build', '--global=ittyTest', '--pattern=**/*.ts', '--cdn'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        expect(result.stdout).toMatch(/\.\s+iife\s+index\.iife\.js\s+\d+ B/)
+
+        // Load order shouldn't matter - both extend window.ittyTest
+        const context = vm.createContext({})
+        for (const file of ['dist/adapters/node.iife.js', 'dist/index.iife.js']) {
+          vm.runInContext(await Bun.file(path.join(project.dir, file)).text(), context)
+        }
+        expect(vm.runInContext('ittyTest.hello("world")', context)).toBe('hello world')
+        expect(vm.runInContext('ittyTest.adapters.node.node', context)).toBe(true)
+
+        const pkg = JSON.parse(await Bun.file(path.join(project.dir, 'package.json')).text())
+        expect(pkg.unpkg).toBe('./index.iife.js')
+        expect(pkg.jsdelivr).toBe('./index.iife.js')
+
+        const manifest = JSON.parse(await Bun.file(path.join(project.dir, 'dist/.sizes.json')).text())
+        expect(manifest.browser['.']).toMatchObject({ file: 'index.iife.js', global: 'ittyTest' })
+      },
+
+      '--global-entry and --global-format=umd build a single UMD bundle': async () => {
+        const project = await ProjectFixture.create('global-umd', {
+          'src/index.ts': 'export const a = 1',
+          'src/utils.ts': 'export const b = 2',
+          'package.json': JSON.stringify({ name: 'test-global', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build', '--global=ittyUtils', '--global-entry=utils', '--global-format=umd'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        await expectFile(path.join(project.dir, 'dist/utils.umd.js')).toContain('ittyUtils')
+        await expectFile(path.join(project.dir, 'dist/index.umd.js')).toNotExist()
+      },
+
+      'rejects an invalid global name': async () => {
+        const project = await ProjectFixture.create('global-invalid', {
+          'src/index.ts': 'export const a = 1',
+          'package.json': JSON.stringify({ name: 'test-global', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build', '--global=itty-router'], { cwd: project.dir })
+        expect(result.exitCode).not.toBe(0)
+        expect(result.stderr).toContain('Invalid --global "itty-router"')
+      }
+    },
+
+    'nested entries': {
+      'ignores subdirectories by default': async () => {
+        const project = await ProjectFixture.create('nested-default', {
+          'src/index.ts': 'export const a = 1',
+          'src/adapters/node.ts': 'export const node = 1',
+          'package.json': JSON.stringify({ name: 'test-nested', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        await expectFile(path.join(project.dir, 'dist/adapters/node.mjs')).toNotExist()
+      },
+
+      '--pattern=**/*.ts keeps nested paths in output and exports': async () => {
+        const project = await ProjectFixture.create('nested-pattern', {
+          'src/index.ts': 'export const root = "index"',
+          'src/node.ts': 'export const root = "node"',
+          'src/adapters/node.ts': 'export const adapter = "node"',
+          'src/adapters/bun/index.ts': 'export const adapter = "bun"',
+          'package.json': JSON.stringify({ name: 'test-nested', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build', '--pattern=**/*.ts'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+
+        // Same basename in different folders doesn't collide
+        await expectFile(path.join(project.dir, 'dist/node.mjs')).toContain('"node"')
+        await expectFile(path.join(project.dir, 'dist/adapters/node.mjs')).toContain('adapter')
+        await expectFile(path.join(project.dir, 'dist/adapters/bun/index.mjs')).toExist()
+
+        const pkg = JSON.parse(await Bun.file(path.join(project.dir, 'package.json')).text())
+        expect(Object.keys(pkg.exports)).toEqual(['.', './adapters/bun', './adapters/node', './node'])
+        expect(pkg.exports['./adapters/node'].import).toBe('./adapters/node.mjs')
+        expect(pkg.exports['./adapters/bun'].types).toBe('./adapters/bun/index.d.ts')
+      },
+
+      'fails when two entries claim the same export': async () => {
+        const project = await ProjectFixture.create('nested-conflict', {
+          'src/adapters.ts': 'export const a = 1',
+          'src/adapters/index.ts': 'export const b = 2',
+          'package.json': JSON.stringify({ name: 'test-nested', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build', '--pattern=**/*.ts'], { cwd: project.dir })
+        expect(result.exitCode).not.toBe(0)
+        expect(result.stderr).toContain('both map to export "./adapters"')
+      }
+    },
+
+    'size budgets': {
+      'passes when entries are within budget': async () => {
+        const project = await ProjectFixture.create('budget-pass', {
+          'src/index.ts': 'export const hello = "world"',
+          'package.json': JSON.stringify({ name: 'test-budget', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build', '--max-size=index=1kb', '--max-size=*:gzip=500b'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        expect(result.stdout).toContain('All entries within size budgets')
+      },
+
+      'fails with a table of entries over budget': async () => {
+        const project = await ProjectFixture.create('budget-fail', {
+          'src/index.ts': `export const text = "${'lorem ipsum '.repeat(50)}"`,
+          'src/small.ts': 'export const a = 1',
+          'package.json': JSON.stringify({ name: 'test-budget', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build', '--max-size=*=100b,small:brotli=1kb'], { cwd: project.dir })
+        expect(result.exitCode).not.toBe(0)
+        expect(result.stderr).toContain('Size budget exceeded')
+        expect(result.stderr).toMatch(/index\s+raw\s+\d+ B\s+100 B\s+\+\d+ B/)
+        expect(result.stderr).not.toMatch(/small\s+raw/)
+        expect(result.stderr).toContain('1 size budget(s) exceeded')
+      },
+
+      'reads budgets from config and checks the snippet': async () => {
+        const project = await ProjectFixture.create('budget-config', {
+          'src/connect.ts': `export const connect = () => "${'x'.repeat(200)}"`,
+          'README.md': '<!-- BEGIN SNIPPET --><!-- END SNIPPET -->',
+          'package.json': JSON.stringify({
+            name: 'test-budget',
+            version: '1.0.0',
+            type: 'module',
+            itty: {
+              build: {
+                snippet: 'connect',
+                'max-size': { connect: { gzip: '1kb' } },
+                'snippet-max-size': { raw: 50 }
+              }
+            }
+          }, null, 2)
+        })
+
+        const result = await cli.run(['build'], { cwd: project.dir })
+        expect(result.exitCode).not.toBe(0)
+        expect(result.stderr).toContain('connect (snippet)')
+        expect(result.stderr).not.toMatch(/connect\s+gzip/)
+      },
+
+      'fails on a budget for an unknown entry': async () => {
+        const project = await ProjectFixture.create('budget-unknown', {
+          'src/index.ts': 'export const a = 1',
+          'package.json': JSON.stringify({ name: 'test-budget', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build', '--max-size=nope=1kb'], { cwd: project.dir })
+        expect(result.exitCode).not.toBe(0)
+        expect(result.stderr).toContain('Size budget set for unknown entry "nope"')
+      }
+    },
+
+    'size comparison': {
+      'writes a size manifest next to the build output': async () => {
+        const project = await ProjectFixture.create('size-manifest', {
+          'src/index.ts': 'export const a = 1',
+          'package.json': JSON.stringify({ name: 'test-manifest', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        const manifest = JSON.parse(await Bun.file(path.join(project.dir, 'dist/.sizes.json')).text())
+        expect(manifest.exports['.'].file).toBe('index.mjs')
+        expect(manifest.exports['.'].raw).toBeGreaterThan(0)
+        expect(manifest.exports['.'].gzip).toBeGreaterThan(0)
+        expect(manifest.exports['.'].brotli).toBeGreaterThan(0)
+      },
+
+      '--compare reports changes vs a committed baseline': withTimeout(30000, async () => {
+        const project = await ProjectFixture.create('size-baseline', {
+          'src/index.ts': 'export const a = 1',
+          'src/utils.ts': 'export const u = 1',
+          'package.json': JSON.stringify({ name: 'test-baseline', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const first = await cli.run(['build', '--compare', '--baseline=sizes.json', '--update-baseline'], { cwd: project.dir })
+        expect(first.exitCode).toBe(0)
+        await expectFile(path.join(project.dir, 'sizes.json')).toExist()
+
+        await Bun.write(path.join(project.dir, 'src/index.ts'), 'export const a = "a much longer value"')
+        const result = await cli.run(['build', '--compare', '--baseline=sizes.json'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        expect(result.stdout).toContain('Size comparison vs sizes.json')
+        expect(result.stdout).toMatch(/\.\s+\d+ B \(\+\d+ B\)/)
+        expect(result.stdout).toMatch(/\.\/utils\s+\d+ B \(±0 B\)/)
+      }),
+
+      '--compare reports changes vs the last published version': withTimeout(30000, async () => {
+        // Publish v1.0.0 to a tiny local registry stand-in
+        const published = await ProjectFixture.create('size-published', {
+          'index.mjs': 'export const a=1;',
+          'package.json': JSON.stringify({
+            name: 'test-published',
+            version: '1.0.0',
+            type: 'module',
+            exports: { '.': { import: './index.mjs', types: './index.d.ts' } }
+          }, null, 2)
+        })
+        Bun.spawnSync(['npm', 'pack'], { cwd: published.dir })
+        const tarball = Bun.file(path.join(published.dir, 'test-published-1.0.0.tgz'))
+
+        const server = Bun.serve({
+          port: 0,
+          fetch: (request) => new URL(request.url).pathname.endsWith('.tgz')
+            ? new Response(tarball)
+            : Response.json({
+              name: 'test-published',
+              'dist-tags': { latest: '1.0.0' },
+              versions: {
+                '1.0.0': {
+                  name: 'test-published',
+                  version: '1.0.0',
+                  dist: { tarball: `${server.url}test-published/-/test-published-1.0.0.tgz` }
+                }
+              }
+            })
+        })
+
+        try {
+          const project = await ProjectFixture.create('size-compare-npm', {
+            'src/index.ts': 'export const a = 1, b = 2',
+            '.npmrc': 'cache=./.npm-cache\n',
+            'package.json': JSON.stringify({ name: 'test-published', version: '1.0.1', type: 'module' }, null, 2)
+          })
+
+          const result = await cli.run(['build', '--compare', `--registry=${server.url}`], { cwd: project.dir })
+          expect(result.exitCode).toBe(0)
+          expect(result.stdout).toContain('Size comparison vs test-published@1.0.0 (published)')
+          expect(result.stdout).toMatch(/\.\s+\d+ B \(\+\d+ B\)/)
+        } finally {
+          server.stop(true)
+        }
+      })
+    },
+
+    'watch mode': {
+      'rebuilds changed entries and updates exports when entries change': withTimeout(60000, async () => {
+        const project = await ProjectFixture.create('watch', {
+          'src/a.ts': 'export const a = 1',
+          'src/b.ts': 'export const b = 2',
+          'package.json': JSON.stringify({
+            name: 'test-watch',
+            version: '1.0.0',
+            type: 'module'
+          }, null, 2)
+        })
+        const readExports = async () => JSON.parse(await Bun.file(path.join(project.dir, 'package.json')).text()).exports
+
+        const watcher = cli.start(['build', '--watch'], { cwd: project.dir })
+        try {
+          await watcher.waitFor('Built ./src/a.ts')
+          await watcher.waitFor('Built ./src/b.ts')
+          expect(Object.keys(await readExports())).toEqual(['./a', './b'])
+
+          // Errors are reported without stopping the watcher
+          watcher.clear()
+          await Bun.write(path.join(project.dir, 'src/a.ts'), 'export const a = (')
+          await watcher.waitFor('❌')
+
+          watcher.clear()
+          await Bun.write(path.join(project.dir, 'src/a.ts'), 'export const a = "changed"')
+          await watcher.waitFor('Built ./src/a.ts')
+          expect(watcher.output()).not.toContain('Built ./src/b.ts')
+          await expectFile(path.join(project.dir, 'dist/a.mjs')).toContain('changed')
+
+          await Bun.write(path.join(project.dir, 'src/c.ts'), 'export const c = 3')
+          await watcher.waitFor('Built ./src/c.ts')
+          await watcher.waitFor('Built types for ./src/c.ts')
+          expect(Object.keys(await readExports())).toEqual(['./a', './b', './c'])
+          await expectFile(path.join(project.dir, 'dist/c.d.ts')).toContain('declare const c')
+          expect(watcher.output()).not.toContain('❌')
+        } finally {
+          await watcher.stop()
+        }
+      })
+    },
+
     'export paths': {
       'default: exports have no dist/ prefix': async () => {
         const project = await ProjectFixture.create('exports-default', {
@@ -100,6 +1122,91 @@ const tests: TestTree = {
         const pkg = JSON.parse(await Bun.file(path.join(project.dir, 'package.json')).text())
         expect(pkg.exports['.'].import).toBe('./dist/index.mjs')
         expect(pkg.exports['.'].types).toBe('./dist/index.d.ts')
+      },
+
+      'keeps hand-written exports and custom conditions': async () => {
+        const project = await ProjectFixture.create('exports-merge', {
+          'src/index.ts': 'export const a = 1',
+          'src/utils.ts': 'export const b = 2',
+          'package.json': JSON.stringify({
+            name: 'test-exports-merge',
+            version: '1.0.0',
+            type: 'module',
+            exports: {
+              '.': { worker: './worker.mjs', import: './index.mjs', types: './index.d.ts' },
+              './removed': { import: './removed.mjs', types: './removed.d.ts' },
+              './package.json': './package.json',
+              './styles.css': './styles.css'
+            }
+          }, null, 2)
+        })
+
+        const result = await cli.run(['build'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        expect(result.stderr).not.toContain('replaced by the generated export')
+
+        const pkg = JSON.parse(await Bun.file(path.join(project.dir, 'package.json')).text())
+        expect(pkg.exports).toEqual({
+          '.': { worker: './worker.mjs', import: './index.mjs', types: './index.d.ts' },
+          './package.json': './package.json',
+          './styles.css': './styles.css',
+          './utils': { import: './utils.mjs', types: './utils.d.ts' }
+        })
+        expect(Object.keys(pkg.exports['.'])).toEqual(['worker', 'import', 'types'])
+      },
+
+      'keeps hand-written exports that only use generated conditions': async () => {
+        const project = await ProjectFixture.create('exports-vendor', {
+          'src/index.ts': 'export const a = 1',
+          'package.json': JSON.stringify({
+            name: 'test-exports-vendor',
+            version: '1.0.0',
+            type: 'module',
+            exports: {
+              '.': { import: './index.mjs', types: './index.d.ts' },
+              './polyfill': { import: './vendor/polyfill.mjs', types: './vendor/polyfill.d.ts' }
+            }
+          }, null, 2)
+        })
+
+        const result = await cli.run(['build'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        expect(result.stderr).toContain('package.json exports["./polyfill"] has no entry in src/ and wasn\'t written by itty build - keeping it')
+
+        const pkg = JSON.parse(await Bun.file(path.join(project.dir, 'package.json')).text())
+        expect(pkg.exports['./polyfill']).toEqual({ import: './vendor/polyfill.mjs', types: './vendor/polyfill.d.ts' })
+      },
+
+      'warns when a hand-written condition is replaced': async () => {
+        const project = await ProjectFixture.create('exports-conflict', {
+          'src/index.ts': 'export const a = 1',
+          'package.json': JSON.stringify({
+            name: 'test-exports-conflict',
+            version: '1.0.0',
+            type: 'module',
+            exports: { import: './custom.mjs', browser: './browser.mjs' }
+          }, null, 2)
+        })
+
+        const result = await cli.run(['build'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        expect(result.stderr).toContain('package.json exports["."].import is replaced by the generated export')
+
+        const pkg = JSON.parse(await Bun.file(path.join(project.dir, 'package.json')).text())
+        expect(pkg.exports).toEqual({ '.': { browser: './browser.mjs', import: './index.mjs', types: './index.d.ts' } })
+      },
+
+      '--legacy-fields syncs main, module and types': async () => {
+        const project = await ProjectFixture.create('exports-legacy', {
+          'src/index.ts': 'export const a = 1',
+          'package.json': JSON.stringify({ name: 'test-exports-legacy', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        await cli.run(['build', '--hybrid', '--legacy-fields', '--release-from=.'], { cwd: project.dir })
+        const pkg = JSON.parse(await Bun.file(path.join(project.dir, 'package.json')).text())
+        expect(pkg.main).toBe('./dist/index.js')
+        expect(pkg.module).toBe('./dist/index.mjs')
+        expect(pkg.types).toBe('./dist/index.d.ts')
       }
     }
   }
@@ -0,0 +1,178 @@
+import { afterAll, expect } from 'bun:test'
+import path from 'node:path'
+import {
+  CLITestRunner,
+  ProjectFixture,
+  type TestTree,
+  expectFile,
+  runTestTree
+} from '../utils/test-utils'
+
+const cli = new CLITestRunner()
+
+const createBuiltProject = (name: string, pkg: Record<string, unknown> = {}, files: Record<string, string> = {}) => ProjectFixture.create(name, {
+  'dist/index.mjs': 'export const a = 1',
+  'dist/index.d.ts': 'export declare const a: number',
+  'dist/utils.mjs': 'export const u = 2',
+  'dist/utils.d.ts': 'export declare const u: number',
+  'package.json': JSON.stringify({
+    name: 'test-check',
+    version: '1.2.3',
+    type: 'module',
+    sideEffects: false,
+    exports: {
+      '.': { import: './index.mjs', types: './index.d.ts' },
+      './utils': { import: './utils.mjs', types: './utils.d.ts' }
+    },
+    ...pkg
+  }, null, 2),
+  ...files
+})
+
+const tests: TestTree = {
+  'itty check': {
+    'help output': {
+      'shows help with --help': async () => {
+        const result = await cli.run(['check', '--help'])
+        expect(result.exitCode).toBe(0)
+        expect(result.stdout).toContain('itty check')
+        expect(result.stdout).toContain('--out')
+      }
+    },
+
+    'passing packages': {
+      'checks exports, imports and types of a built package': async () => {
+        const project = await createBuiltProject('check-pass')
+
+        const result = await cli.run(['check'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        expect(result.stdout).toContain('test-check v1.2.3 checks out: 2 export(s)')
+        expect(result.stdout).toContain('ESM imports')
+        expect(result.stdout).toContain('types under node16, bundler and node10')
+        await expectFile(path.join(project.dir, 'node_modules/.cache/itty/check')).toNotExist()
+      },
+
+      'finds an exported ./package.json wherever the package is released from': async () => {
+        const project = await createBuiltProject('check-package-json', {
+          exports: {
+            '.': { import: './index.mjs', types: './index.d.ts' },
+            './package.json': './package.json'
+          }
+        })
+
+        const result = await cli.run(['check'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        expect(result.stdout).toContain('test-check v1.2.3 checks out: 2 export(s)')
+      },
+
+      'requires hybrid exports as CommonJS': async () => {
+        const project = await createBuiltProject('check-hybrid', {
+          exports: {
+            '.': {
+              import: { types: './index.d.ts', default: './index.mjs' },
+              require: { types: './index.d.cts', default: './index.cjs' }
+            }
+          }
+        }, {
+          'dist/index.cjs': 'exports.a = 1',
+          'dist/index.d.cts': 'export declare const a: number'
+        })
+
+        const result = await cli.run(['check'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        expect(result.stdout).toContain('ESM imports, CJS requires')
+      }
+    },
+
+    'problems': {
+      'reports missing targets and package.json fields': async () => {
+        const project = await createBuiltProject('check-missing', {
+          sideEffects: undefined,
+          exports: {
+            '.': { import: './index.mjs', types: './index.d.ts' },
+            './gone': { import: './gone.mjs', types: './gone.d.ts' }
+          }
+        })
+
+        const result = await cli.run(['check'], { cwd: project.dir })
+        expect(result.exitCode).not.toBe(0)
+        expect(result.stdout).toContain('exports["./gone"].import → ./gone.mjs doesn\'t exist')
+        expect(result.stdout).toContain('exports["./gone"].types → ./gone.d.ts doesn\'t exist')
+        expect(result.stdout).toContain('No "sideEffects" field')
+        expect(result.stderr).toContain('Package check failed: 3 problem(s)')
+      },
+
+      'reports exports that throw when imported': async () => {
+        const project = await createBuiltProject('check-throws', {}, {
+          'dist/utils.mjs': 'throw new Error(\'no window here\')'
+        })
+
+        const result = await cli.run(['check'], { cwd: project.dir })
+        expect(result.exitCode).not.toBe(0)
+        expect(result.stdout).toMatch(/esm\s+test-check\/utils\s+no window here/)
+      },
+
+      'reports CommonJS that loads without its exports': async () => {
+        // "type": "module" makes Node read the CommonJS in index.js as ESM
+        const project = await createBuiltProject('check-cjs-as-esm', {
+          exports: {
+            '.': {
+              import: { types: './index.d.ts', default: './index.mjs' },
+              require: { types: './index.d.cts', default: './index.js' }
+            }
+          }
+        }, {
+          'dist/index.js': 'exports.a = 1',
+          'dist/index.d.cts': 'export declare const a: number'
+        })
+
+        const result = await cli.run(['check'], { cwd: project.dir })
+        expect(result.exitCode).not.toBe(0)
+        expect(result.stdout).toMatch(/cjs\s+test-check\s+/)
+      },
+
+      'reports a default-only CommonJS entry that loads without its default': async () => {
+        // A UMD-style guard finds no `module` when "type": "module" makes Node read index.js as ESM
+        const project = await createBuiltProject('check-cjs-default', {
+          exports: {
+            '.': {
+              import: { types: './index.d.ts', default: './index.mjs' },
+              require: { types: './index.d.cts', default: './index.js' }
+            }
+          }
+        }, {
+          'dist/index.mjs': 'export default function greet() {}',
+          'dist/index.d.ts': 'export default function greet(): void',
+          'dist/index.js': 'if (typeof module === \'object\') module.exports = function greet() {}',
+          'dist/index.d.cts': 'declare function greet(): void\nexport = greet'
+        })
+
+        const result = await cli.run(['check'], { cwd: project.dir })
+        expect(result.exitCode).not.toBe(0)
+        expect(result.stdout).toMatch(/cjs\s+test-check\s+require\(\) is missing exports: default/)
+      },
+
+      'reports exports without declarations under node10': async () => {
+        // Releasing from the project root: subpaths only resolve through "exports", which node10 ignores
+        const project = await createBuiltProject('check-node10', {
+          files: ['dist'],
+          exports: {
+            '.': { import: './dist/index.mjs', types: './dist/index.d.ts' }
+          }
+        })
+
+        const result = await cli.run(['check'], { cwd: project.dir })
+        expect(result.exitCode).not.toBe(0)
+        expect(result.stdout).toContain('No declarations found under node10')
+        expect(result.stdout).not.toContain('node16')
+      }
+    }
+  }
+}
+
+runTestTree(tests)
+
+afterAll(async () => {
+  cli.cleanup()
+  await ProjectFixture.cleanupAll()
+})
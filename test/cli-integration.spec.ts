@@ -6,7 +6,8 @@ import {
   ProjectFixture,
   type TestTree,
   expectFile,
-  runTestTree
+  runTestTree,
+  withTimeout
 } from '../utils/test-utils'
 
 const cli = new CLITestRunner()
@@ -14,7 +15,7 @@ const cli = new CLITestRunner()
 const tests: TestTree = {
   'CLI Integration': {
     'end-to-end workflow': {
-      'build → lint → prepare → release': async () => {
+      'build → lint → prepare → release': withTimeout(30000, async () => {
         // Create a realistic TypeScript project
         const project = await ProjectFixture.create('e2e-workflow', {
           'src/index.ts': `
@@ -113,11 +114,11 @@ export function multiply(a: number, b: number): number {
             types: './utils.d.ts'
           }
         })
-      }
+      })
     },
 
     'hybrid build workflow': {
-      'build with --hybrid then release': async () => {
+      'build with --hybrid then release': withTimeout(30000, async () => {
         const project = await ProjectFixture.create('hybrid-workflow', {
           'src/main.ts': `
 export default function main() {
@@ -146,7 +147,7 @@ export default function main() {
           '--no-git'
         ], { cwd: project.dir })
         expect(releaseResult.exitCode).toBe(0)
-      }
+      })
     },
 
     'root release workflow': {
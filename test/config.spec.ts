@@ -0,0 +1,139 @@
+import { afterAll, expect } from 'bun:test'
+import path from 'node:path'
+import {
+  CLITestRunner,
+  ProjectFixture,
+  type TestTree,
+  expectFile,
+  runTestTree
+} from '../utils/test-utils'
+
+const cli = new CLITestRunner()
+
+const tests: TestTree = {
+  'project config': {
+    'sources': {
+      'reads build defaults from itty.config.json': async () => {
+        const project = await ProjectFixture.create('config-json', {
+          'lib/index.ts': 'export const a = 1',
+          'itty.config.json': JSON.stringify({ build: { from: 'lib', out: 'build' } }, null, 2),
+          'package.json': JSON.stringify({ name: 'test-config', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        await expectFile(path.join(project.dir, 'build/index.mjs')).toExist()
+      },
+
+      'reads build defaults from itty.config.js with camelCase keys': async () => {
+        const project = await ProjectFixture.create('config-js', {
+          'src/index.ts': 'export const a = 1',
+          'itty.config.js': `export default { build: { releaseFrom: '.' } }`,
+          'package.json': JSON.stringify({ name: 'test-config', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        const pkg = JSON.parse(await Bun.file(path.join(project.dir, 'package.json')).text())
+        expect(pkg.exports['.'].import).toBe('./dist/index.mjs')
+      },
+
+      'reads release defaults from package.json "itty" key': async () => {
+        const project = await ProjectFixture.create('config-pkg', {
+          'dist/index.mjs': 'export const a = 1',
+          'package.json': JSON.stringify({
+            name: 'test-config',
+            version: '1.2.3',
+            type: 'module',
+            itty: { release: { minor: true, 'dry-run': true, 'no-git': true } }
+          }, null, 2)
+        })
+
+        const result = await cli.run(['release'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        expect(result.stdout).toContain('v1.2.3 → v1.3.0')
+        expect(result.stdout).toContain('Dry run - skipping publish')
+      }
+    },
+
+    'precedence': {
+      'CLI flags override config values': async () => {
+        const project = await ProjectFixture.create('config-override', {
+          'src/index.ts': 'export const a = 1',
+          'itty.config.json': JSON.stringify({ build: { out: 'build' } }, null, 2),
+          'package.json': JSON.stringify({ name: 'test-config', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build', '--out=lib'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        await expectFile(path.join(project.dir, 'lib/index.mjs')).toExist()
+        await expectFile(path.join(project.dir, 'build/index.mjs')).toNotExist()
+      },
+
+      'CLI version flag replaces config version flag': async () => {
+        const project = await ProjectFixture.create('config-version', {
+          'dist/index.mjs': 'export const a = 1',
+          'package.json': JSON.stringify({
+            name: 'test-config',
+            version: '1.2.3',
+            type: 'module',
+            itty: { release: { minor: true } }
+          }, null, 2)
+        })
+
+        const result = await cli.run(['release', '--patch', '--dry-run', '--no-git'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        expect(result.stdout).toContain('v1.2.3 → v1.2.4')
+      }
+    },
+
+    'validation': {
+      'names an unknown option': async () => {
+        const project = await ProjectFixture.create('config-unknown-key', {
+          'src/index.ts': 'export const a = 1',
+          'itty.config.json': JSON.stringify({ build: { outdir: 'build' } }, null, 2),
+          'package.json': JSON.stringify({ name: 'test-config', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build'], { cwd: project.dir })
+        expect(result.exitCode).not.toBe(0)
+        expect(result.stderr).toContain('Unknown option "outdir" in itty.config.json (build)')
+      },
+
+      'names an unknown section': async () => {
+        const project = await ProjectFixture.create('config-unknown-section', {
+          'src/index.ts': 'export const a = 1',
+          'package.json': JSON.stringify({
+            name: 'test-config',
+            version: '1.0.0',
+            type: 'module',
+            itty: { publish: { tag: true } }
+          }, null, 2)
+        })
+
+        const result = await cli.run(['build'], { cwd: project.dir })
+        expect(result.exitCode).not.toBe(0)
+        expect(result.stderr).toContain('Unknown section "publish" in package.json "itty"')
+      },
+
+      'rejects wrong value types': async () => {
+        const project = await ProjectFixture.create('config-bad-type', {
+          'src/index.ts': 'export const a = 1',
+          'itty.config.json': JSON.stringify({ build: { hybrid: 'yes' } }, null, 2),
+          'package.json': JSON.stringify({ name: 'test-config', version: '1.0.0', type: 'module' }, null, 2)
+        })
+
+        const result = await cli.run(['build'], { cwd: project.dir })
+        expect(result.exitCode).not.toBe(0)
+        expect(result.stderr).toContain('Option "hybrid" in itty.config.json (build) must be true or false')
+      }
+    }
+  }
+}
+
+runTestTree(tests)
+
+afterAll(async () => {
+  cli.cleanup()
+  await ProjectFixture.cleanupAll()
+})
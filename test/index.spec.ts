@@ -18,6 +18,7 @@ const tests: TestTree = {
         expect(result.stdout).toContain('lint')
         expect(result.stdout).toContain('prepare')
         expect(result.stdout).toContain('release')
+        expect(result.stdout).toContain('size')
       }
     },
 
@@ -41,7 +42,7 @@ const tests: TestTree = {
 
     'subcommand help': {
       'each command shows help with --help': async () => {
-        const commands = ['build', 'lint', 'prepare', 'release']
+        const commands = ['build', 'lint', 'prepare', 'release', 'size']
 
         for (const command of commands) {
           const result = await cli.run([command, '--help'])
@@ -63,7 +64,10 @@ afterAll(async () => {
 
 // Import all other test files to run them
 import './build.spec'
+import './check.spec'
+import './config.spec'
 import './cli-integration.spec'
 import './lint.spec'
 import './prepare.spec'
 import './release.spec'
+import './size.spec'
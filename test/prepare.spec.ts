@@ -3,7 +3,8 @@ import {
   CLITestRunner,
   ProjectFixture,
   type TestTree,
-  runTestTree
+  runTestTree,
+  withTimeout
 } from '../utils/test-utils'
 
 const cli = new CLITestRunner()
@@ -78,7 +79,7 @@ const tests: TestTree = {
     },
 
     'with missing scripts': {
-      'uses built-in lint when no lint script': async () => {
+      'uses built-in lint when no lint script': withTimeout(30000, async () => {
         const project = await ProjectFixture.create('no-lint-script', {
           'src/index.ts': 'export const value = \'test\'',
           'package.json': JSON.stringify({
@@ -93,7 +94,7 @@ const tests: TestTree = {
         const result = await cli.run(['prepare'], { cwd: project.dir })
         expect(result.exitCode).toBe(0)
         expect(result.stdout).toContain('Running built-in lint')
-      },
+      }),
 
       'skips test when no test script': async () => {
         const project = await ProjectFixture.create('no-test-script', {
@@ -11,6 +11,49 @@ import {
 
 const cli = new CLITestRunner()
 
+const git = (dir: string, ...args: string[]) => Bun.spawnSync(['git', '-c', 'user.name=itty', '-c', 'user.email=itty@example.com', ...args], { cwd: dir })
+
+// A project released as `version`, with `previous` as the API snapshot at its tag - dist/ now only exports `a`
+const createReleasedProject = async (name: string, version: string, previous: Record<string, string>) => {
+  const project = await ProjectFixture.create(name, {
+    'dist/index.mjs': 'export const a = 1',
+    'dist/index.d.ts': 'export declare const a: number',
+    'api.json': JSON.stringify({ '.': previous }, null, 2),
+    'package.json': JSON.stringify({
+      name: 'test-api',
+      version,
+      type: 'module',
+      exports: { '.': { import: './index.mjs', types: './index.d.ts' } }
+    }, null, 2)
+  })
+
+  git(project.dir, 'init', '-q')
+  git(project.dir, 'add', '.')
+  git(project.dir, 'commit', '-q', '-m', 'release')
+  git(project.dir, 'tag', `v${version}`)
+
+  return project
+}
+
+// A project tagged v`version`, followed by one empty commit per message
+const createCommittedProject = async (name: string, version: string, messages: string[]) => {
+  const project = await ProjectFixture.create(name, {
+    'dist/index.mjs': 'export const a = 1',
+    'package.json': JSON.stringify({ name: 'test-auto', version, type: 'module' }, null, 2)
+  })
+
+  git(project.dir, 'init', '-q')
+  git(project.dir, 'add', '.')
+  git(project.dir, 'commit', '-q', '-m', 'initial')
+  git(project.dir, 'tag', `v${version}`)
+
+  for (const message of messages) {
+    git(project.dir, 'commit', '-q', '--allow-empty', '-m', message)
+  }
+
+  return project
+}
+
 const tests: TestTree = {
   'itty release': {
     'version bumping': {
@@ -256,6 +299,94 @@ const tests: TestTree = {
       }
     },
 
+    'auto': {
+      'picks minor for features and shows the commits behind it': async () => {
+        const project = await createCommittedProject('auto-minor', '1.2.3', ['fix: handle empty input', 'feat(router): add withParams', 'docs: typo'])
+
+        const result = await cli.run(['release', '--auto', '--dry-run'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        expect(result.stdout).toContain('3 commit(s) since v1.2.3 call for a minor release')
+        expect(result.stdout).toMatch(/minor\s+feat\(router\): add withParams/)
+        expect(result.stdout).not.toContain('fix: handle empty input')
+        expect(result.stdout).toContain('v1.2.3 → v1.3.0')
+      },
+
+      'picks major for breaking changes': async () => {
+        const project = await createCommittedProject('auto-major', '1.2.3', ['feat: add b', 'fix!: throw on bad input'])
+
+        const result = await cli.run(['release', '--auto', '--dry-run'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        expect(result.stdout).toMatch(/major\s+fix!: throw on bad input/)
+        expect(result.stdout).toContain('v1.2.3 → v2.0.0')
+      },
+
+      'bumps minor for breaking changes before 1.0': async () => {
+        const project = await createCommittedProject('auto-zero', '0.4.0', ['refactor: rename option\n\nBREAKING CHANGE: size is now width'])
+
+        const result = await cli.run(['release', '--auto', '--dry-run'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        expect(result.stdout).toContain('(breaking changes bump minor before 1.0)')
+        expect(result.stdout).toContain('v0.4.0 → v0.5.0')
+      },
+
+      'fails when nothing was committed since the last tag': async () => {
+        const project = await createCommittedProject('auto-empty', '1.2.3', [])
+
+        const result = await cli.run(['release', '--auto', '--dry-run'], { cwd: project.dir })
+        expect(result.exitCode).not.toBe(0)
+        expect(result.stderr).toContain('No commits since v1.2.3 - nothing to release')
+      }
+    },
+
+    'changelog': {
+      'dry run prints the new section, grouped by type and linked through the remote': async () => {
+        const project = await createCommittedProject('changelog', '1.2.3', ['fix: handle empty input', 'feat(router): add withParams', 'feat!: drop node 16', 'docs: typo'])
+        git(project.dir, 'remote', 'add', 'origin', 'git@github.com:kwhitley/test-auto.git')
+
+        const result = await cli.run(['release', '--major', '--dry-run'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        expect(result.stdout).toContain('CHANGELOG.md section for v2.0.0')
+        expect(result.stdout).toContain('### [2.0.0](https://github.com/kwhitley/test-auto/compare/v1.2.3...v2.0.0)')
+        expect(result.stdout).toMatch(/#### Breaking Changes\n- drop node 16 \(\[(\w+)\]\(https:\/\/github\.com\/kwhitley\/test-auto\/commit\/\1\)\)/)
+        expect(result.stdout).toMatch(/#### Features\n- \*\*router:\*\* add withParams \(/)
+        expect(result.stdout).toMatch(/#### Fixes\n- handle empty input \(/)
+        expect(result.stdout).toMatch(/#### Other Changes\n- docs: typo \(/)
+        await expectFile(path.join(project.dir, 'CHANGELOG.md')).toNotExist()
+      },
+
+      'skips the changelog with --no-changelog': async () => {
+        const project = await createCommittedProject('no-changelog', '1.2.3', ['fix: handle empty input'])
+
+        const result = await cli.run(['release', '--dry-run', '--no-changelog'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        expect(result.stdout).not.toContain('CHANGELOG.md')
+      }
+    },
+
+    'API changes': {
+      'refuses --patch when exports were removed since the last tag': async () => {
+        const project = await createReleasedProject('api-removed', '1.2.3', { a: 'const a: number', b: 'const b: string' })
+
+        const result = await cli.run(['release', '--dry-run', '--api=api.json'], { cwd: project.dir })
+        expect(result.exitCode).not.toBe(0)
+        expect(result.stdout).toMatch(/\.\s+b\s+removed\s+major/)
+        expect(result.stderr).toContain('release with --major instead of --patch')
+
+        const major = await cli.run(['release', '--major', '--dry-run', '--api=api.json'], { cwd: project.dir })
+        expect(major.exitCode).toBe(0)
+        expect(major.stdout).toContain('v1.2.3 → v2.0.0')
+      },
+
+      'only needs --minor for breaking changes before 1.0': async () => {
+        const project = await createReleasedProject('api-zero', '0.4.0', { a: 'const a: number', b: 'const b: string' })
+
+        const result = await cli.run(['release', '--patch', '--dry-run', '--api=api.json'], { cwd: project.dir })
+        expect(result.exitCode).not.toBe(0)
+        expect(result.stdout).toMatch(/\.\s+b\s+removed\s+major/)
+        expect(result.stderr).toContain('release with --minor instead of --patch')
+      }
+    },
+
     'help output': {
       'shows comprehensive help with --help': async () => {
         const result = await cli.run(['release', '--help'])
@@ -0,0 +1,142 @@
+import { afterAll, expect } from 'bun:test'
+import path from 'node:path'
+import {
+  CLITestRunner,
+  ProjectFixture,
+  type TestTree,
+  expectFile,
+  runTestTree
+} from '../utils/test-utils'
+
+const cli = new CLITestRunner()
+
+const createBuiltProject = (name: string, files: Record<string, string> = {}) => ProjectFixture.create(name, {
+  'dist/index.mjs': 'export const a=1;',
+  'dist/utils.mjs': `export const u=${JSON.stringify('x'.repeat(100))};`,
+  'package.json': JSON.stringify({
+    name: 'test-size',
+    version: '1.2.3',
+    type: 'module',
+    exports: {
+      '.': { import: './index.mjs', types: './index.d.ts' },
+      './utils': { import: './utils.mjs', types: './utils.d.ts' }
+    }
+  }, null, 2),
+  ...files
+})
+
+const tests: TestTree = {
+  'itty size': {
+    'help output': {
+      'shows help with --help': async () => {
+        const result = await cli.run(['size', '--help'])
+        expect(result.exitCode).toBe(0)
+        expect(result.stdout).toContain('itty size')
+        expect(result.stdout).toContain('--format')
+        expect(result.stdout).toContain('--readme')
+      }
+    },
+
+    'output formats': {
+      'prints a table for every export without rebuilding': async () => {
+        const project = await createBuiltProject('size-table')
+
+        const result = await cli.run(['size'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        expect(result.stdout).toMatch(/test-size\s+17 B\s+\d+ B\s+\d+ B/)
+        expect(result.stdout).toMatch(/test-size\/utils\s+118 B/)
+        await expectFile(path.join(project.dir, 'dist/.sizes.json')).toNotExist()
+      },
+
+      '--format=json prints the size manifest': async () => {
+        const project = await createBuiltProject('size-json')
+
+        const result = await cli.run(['size', '--format=json'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        const manifest = JSON.parse(result.stdout)
+        expect(manifest.version).toBe('1.2.3')
+        expect(manifest.exports['.'].raw).toBe(17)
+        expect(manifest.exports['./utils'].file).toBe('./utils.mjs')
+      },
+
+      'counts shared chunks towards every export that imports them': async () => {
+        const project = await createBuiltProject('size-chunks', {
+          'dist/index.mjs': 'import{s}from"./chunks/shared.mjs";export const a=s;',
+          'dist/chunks/shared.mjs': 'export const s=1;'
+        })
+
+        const result = await cli.run(['size', '--format=json'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        const manifest = JSON.parse(result.stdout)
+        expect(manifest.exports['.'].raw).toBe(52 + 17)
+        expect(manifest.exports['.'].chunks).toEqual(['chunks/shared.mjs'])
+        expect(manifest.exports['./utils'].chunks).toBeUndefined()
+      },
+
+      'resolves exports that include the output dir prefix': async () => {
+        const project = await createBuiltProject('size-root', {
+          'package.json': JSON.stringify({
+            name: 'test-size',
+            version: '1.0.0',
+            exports: { '.': { import: './dist/index.mjs' } }
+          }, null, 2)
+        })
+
+        const result = await cli.run(['size', '--format=json'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+        expect(JSON.parse(result.stdout).exports['.'].raw).toBe(17)
+      }
+    },
+
+    '--readme': {
+      'writes a markdown table between the SIZES markers': async () => {
+        const project = await createBuiltProject('size-readme', {
+          'README.md': '# Test\n\n<!-- BEGIN SIZES -->\nold table\n<!-- END SIZES -->\n\nMore docs'
+        })
+
+        const result = await cli.run(['size', '--readme'], { cwd: project.dir })
+        expect(result.exitCode).toBe(0)
+
+        const readme = await Bun.file(path.join(project.dir, 'README.md')).text()
+        expect(readme).not.toContain('old table')
+        expect(readme).toContain('| export | raw | gzip | brotli |')
+        expect(readme).toContain('| --- | ---: | ---: | ---: |')
+        expect(readme).toMatch(/\| `test-size\/utils` \| 118 B \| \d+ B \| \d+ B \|/)
+        expect(readme).toContain('More docs')
+      },
+
+      'fails when the README has no SIZES markers': async () => {
+        const project = await createBuiltProject('size-no-markers', {
+          'README.md': '# Test'
+        })
+
+        const result = await cli.run(['size', '--readme'], { cwd: project.dir })
+        expect(result.exitCode).not.toBe(0)
+        expect(result.stderr).toContain('README.md has no <!-- BEGIN SIZES -->')
+      }
+    },
+
+    'error cases': {
+      'fails when an export target is missing': async () => {
+        const project = await createBuiltProject('size-missing', {
+          'package.json': JSON.stringify({
+            name: 'test-size',
+            version: '1.0.0',
+            exports: { './gone': { import: './gone.mjs' } }
+          }, null, 2)
+        })
+
+        const result = await cli.run(['size'], { cwd: project.dir })
+        expect(result.exitCode).not.toBe(0)
+        expect(result.stderr).toContain('Export "./gone" points to missing file ./gone.mjs')
+      }
+    }
+  }
+}
+
+runTestTree(tests)
+
+afterAll(async () => {
+  cli.cleanup()
+  await ProjectFixture.cleanupAll()
+})
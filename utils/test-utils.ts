@@ -5,7 +5,7 @@ import { tmpdir } from 'node:os'
 import { describe, it } from 'bun:test'
 
 // Test tree types for hierarchical organization
-export type TestLeaf = () => void | Promise<void>
+export type TestLeaf = (() => void | Promise<void>) & { timeout?: number }
 export type TestTree = {
   [key: string]: TestTree | TestLeaf
 }
@@ -17,6 +17,13 @@ export interface CLIResult {
   exitCode: number
 }
 
+export interface CLIProcess {
+  output: () => string
+  clear: () => void
+  waitFor: (text: string, timeout?: number) => Promise<void>
+  stop: () => Promise<void>
+}
+
 export interface TestProject {
   dir: string
   cleanup: () => Promise<void>
@@ -62,6 +69,40 @@ export class CLITestRunner {
     })
   }
 
+  // Starts a long-running command (e.g. --watch) without waiting for it to exit
+  start(args: string[], options: { cwd?: string } = {}): CLIProcess {
+    const cwd = options.cwd || process.cwd()
+    const ittyScript = path.join(__dirname, '..', 'bin/itty.js')
+
+    // No shell here, so that kill() reaches the itty process itself
+    const proc = spawn('bun', [ittyScript, ...args], { cwd, stdio: 'pipe' })
+    this.processes.push(proc)
+
+    let output = ''
+    proc.stdout?.on('data', (data) => { output += data.toString() })
+    proc.stderr?.on('data', (data) => { output += data.toString() })
+
+    const waitFor = (text: string, timeout = 20000) => new Promise<void>((resolve, reject) => {
+      const started = Date.now()
+      const check = () => {
+        if (output.includes(text)) return resolve()
+        if (Date.now() - started > timeout) {
+          return reject(new Error(`Timed out waiting for "${text}". Output:\n${output}`))
+        }
+        setTimeout(check, 50)
+      }
+      check()
+    })
+
+    const stop = () => new Promise<void>((resolve) => {
+      if (proc.exitCode !== null) return resolve()
+      proc.once('close', () => resolve())
+      proc.kill()
+    })
+
+    return { output: () => output, clear: () => { output = '' }, waitFor, stop }
+  }
+
   cleanup() {
     this.processes.forEach(proc => {
       if (!proc.killed) {
@@ -122,6 +163,9 @@ export class ProjectFixture {
   }
 }
 
+// For tests that run several builds (or wait on a watcher), past bun's default 5s timeout
+export const withTimeout = (timeout: number, test: TestLeaf): TestLeaf => Object.assign(test, { timeout })
+
 // Test runner that traverses the test tree
 export const runTestTree = (tests: TestTree) => {
   // Import from bun:test at runtime
@@ -129,9 +173,9 @@ export const runTestTree = (tests: TestTree) => {
     if (typeof test === 'function') {
       // Detect async vs sync tests
       if (test.constructor.name === 'AsyncFunction') {
-        it(name, test)
+        it(name, test, test.timeout)
       } else {
-        it(name, test)
+        it(name, test, test.timeout)
       }
     } else {
       describe(name, () => runTestTree(test))